@@ -0,0 +1,46 @@
+// 명령어 문자열 해석 (서버 direct 실행 모드와 에디터 실행 명령에서 함께 사용)
+
+// POSIX 셸 규칙(작은/큰따옴표, 백슬래시 이스케이프)으로 명령어를 argv로 분리
+// 파이프/리다이렉션 등 셸 문법은 direct 모드에서 지원하지 않으므로 오류로 처리
+export function tokenizeCommand(command) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  const text = String(command || '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote in command');
+      current += text.slice(i + 1, end);
+      inToken = true;
+      i = end;
+    } else if (char === '"') {
+      let j = i + 1;
+      for (; j < text.length && text[j] !== '"'; j++) {
+        // 큰따옴표 안에서는 \, \", \$, \` 만 이스케이프로 취급
+        if (text[j] === '\\' && j + 1 < text.length && '\\"$`'.includes(text[j + 1])) j++;
+        current += text[j];
+      }
+      if (j >= text.length) throw new Error('Unterminated double quote in command');
+      inToken = true;
+      i = j;
+    } else if (char === '\\') {
+      if (i + 1 < text.length) current += text[++i];
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) tokens.push(current);
+      current = '';
+      inToken = false;
+    } else if ('|&;<>()`$'.includes(char)) {
+      throw new Error(`Shell syntax "${char}" is not supported in direct mode; use a shell launch mode`);
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+  if (inToken) tokens.push(current);
+  return tokens;
+}
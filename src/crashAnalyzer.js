@@ -0,0 +1,158 @@
+import { stripTerminalSequences } from './ptyProcess.js';
+
+// 비정상 종료 직전 로그에서 알려진 오류 유형을 찾아 진단과 해결 방법(remedy) 제시
+//
+// 시그니처: { id, pattern, diagnose(match, context) => { summary, remedy } | null }
+// - pattern: 로그 한 줄(ANSI 제거)에 대한 정규식
+// - context: { server } (server.port / server.actualPort 등)
+// - remedy: { action, label, ... } 또는 null (진단만)
+//   - kill-port { port }: 포트를 점유한 프로세스 종료 후 다시 시작 (main에서 확인 대화상자)
+//   - install-dependencies: 프로젝트의 패키지 매니저로 install 후 다시 시작
+//   - switch-node-version { version }: 서버의 Node 버전 지정 후 다시 시작
+//   - set-env { key, value, append }: 서버 환경변수 설정 후 다시 시작 (append: 기존 값 뒤에 추가)
+//   - edit-env { key }: 값은 사용자만 알 수 있으므로 상세 화면의 환경변수 편집으로 이동
+// 등록한 시그니처는 내장 시그니처보다 먼저 검사하고, 같은 시그니처 안에서는 최근 줄부터 찾음
+
+const MAX_EXCERPT_LENGTH = 300;
+
+function highestMajor(range) {
+  const majors = (String(range).match(/\d+(?=\.|\b)/g) || []).map(Number).filter(n => n > 0 && n < 100);
+  return majors.length > 0 ? Math.max(...majors) : null;
+}
+
+export const BUILTIN_CRASH_SIGNATURES = [
+  {
+    id: 'port-in-use',
+    pattern: /EADDRINUSE(?:.*?[:\s](\d{2,5})(?![\d.]))?|\b[Pp]ort (\d{2,5}) is already in use|already running on port (\d{2,5})/,
+    diagnose: (match, { server }) => {
+      const port = Number(match[1] || match[2] || match[3]) || Number(server?.actualPort || server?.port) || null;
+      return {
+        summary: port ? `Port ${port} is already in use by another process.` : 'The port is already in use by another process.',
+        remedy: port ? { action: 'kill-port', label: `Kill port ${port} owner`, port } : null
+      };
+    }
+  },
+  {
+    id: 'node-version',
+    pattern: /The engine "node" is incompatible with this module\. Expected version "([^"]+)"|[Rr]equired: \{[^}]*\bnode"?:\s*['"]([^'"]+)['"]|Node\.js version (?:>=?\s*)?v?(\d+(?:\.\d+)*) (?:or (?:higher|later) )?is required|requires Node(?:\.js)?(?: version)? (>=?\s*v?\d+(?:\.\d+)*)/,
+    diagnose: (match) => {
+      const range = (match[1] || match[2] || (match[3] && `>=${match[3]}`) || match[4] || '').replace(/\s+/g, '').replace(/v(?=\d)/g, '');
+      const major = highestMajor(range);
+      return {
+        summary: `This project requires Node.js ${range || 'a different version'}.`,
+        remedy: range && major ? { action: 'switch-node-version', label: `Switch to Node ${major}`, version: range.includes('||') ? String(major) : range } : null
+      };
+    }
+  },
+  {
+    id: 'require-esm',
+    pattern: /ERR_REQUIRE_ESM|require\(\) of ES Module (\S+)/,
+    diagnose: (match) => ({
+      summary: `CommonJS code require()s an ES module${match[1] ? ` (${match[1]})` : ''}. Node.js 22.12+ supports this; otherwise use import() or a CommonJS version of the package.`,
+      remedy: { action: 'switch-node-version', label: 'Switch to Node 22', version: '>=22.12' }
+    })
+  },
+  {
+    id: 'openssl-legacy',
+    pattern: /error:0308010C:digital envelope routines::unsupported|ERR_OSSL_EVP_UNSUPPORTED/,
+    diagnose: () => ({
+      summary: 'An older webpack build uses a hash removed in Node.js 17+ (OpenSSL 3).',
+      remedy: { action: 'set-env', label: 'Use legacy OpenSSL', key: 'NODE_OPTIONS', value: '--openssl-legacy-provider', append: true }
+    })
+  },
+  {
+    id: 'missing-env',
+    pattern: /Missing (?:required )?env(?:ironment)?(?: var(?:iable)?s?)?:?\s*["'`]?([A-Z][A-Z0-9_]+)|\b(?:process\.env\.)?([A-Z][A-Z0-9]*_[A-Z0-9_]+)["'`]? (?:environment variable |env var )?(?:is|must be) (?:not set|missing|required|undefined|not defined)/,
+    diagnose: (match) => {
+      const key = match[1] || match[2];
+      return {
+        summary: `Environment variable ${key} is not set.`,
+        remedy: { action: 'edit-env', label: `Set ${key}`, key }
+      };
+    }
+  },
+  {
+    id: 'module-not-found',
+    pattern: /Cannot find (?:module|package) '([^']+)'|ERR_MODULE_NOT_FOUND/,
+    diagnose: (match) => {
+      const name = match[1] || '';
+      if (/^(?:\.{1,2}\/|\/|[A-Za-z]:\\)/.test(name)) {
+        return { summary: `File ${name} could not be found. A build step may not have run, or the path is wrong.`, remedy: null };
+      }
+      return {
+        summary: name ? `Package "${name}" is not installed.` : 'A required package is not installed.',
+        remedy: { action: 'install-dependencies', label: 'Install dependencies' }
+      };
+    }
+  },
+  {
+    id: 'command-not-found',
+    pattern: /(?:^|\s)(?:sh|bash|zsh)(?::\s*(?:line )?\d+)?:\s*(?!\d+:)([\w@./-]+): (?:command not found|not found)|command not found: ([\w@./-]+)/,
+    diagnose: (match) => ({
+      summary: `Command "${match[1] || match[2]}" was not found. Dependencies may not be installed.`,
+      remedy: { action: 'install-dependencies', label: 'Install dependencies' }
+    })
+  },
+  {
+    id: 'out-of-memory',
+    pattern: /JavaScript heap out of memory|Reached heap limit/,
+    diagnose: () => ({
+      summary: 'The process ran out of JavaScript heap memory.',
+      remedy: { action: 'set-env', label: 'Raise heap limit to 4 GB', key: 'NODE_OPTIONS', value: '--max-old-space-size=4096', append: true }
+    })
+  },
+  {
+    id: 'too-many-files',
+    pattern: /EMFILE: too many open files|ENOSPC: System limit for number of file watchers reached/,
+    diagnose: () => ({
+      summary: 'The file watcher hit the open-file limit. Installing watchman or raising the limit (ulimit -n) usually fixes this.',
+      remedy: null
+    })
+  },
+  {
+    id: 'permission-denied',
+    pattern: /listen EACCES(?:.*?:(\d{1,5}))?/,
+    diagnose: (match) => ({
+      summary: `Not allowed to listen on ${match[1] ? `port ${match[1]}` : 'this port'}. Ports below 1024 need elevated privileges; use a higher port.`,
+      remedy: null
+    })
+  }
+];
+
+export class CrashAnalyzer {
+  constructor(signatures = BUILTIN_CRASH_SIGNATURES) {
+    this.signatures = [...signatures];
+  }
+
+  // 시그니처 추가 (같은 id가 있으면 교체, 내장 시그니처보다 먼저 검사)
+  register(signature) {
+    if (!signature || !signature.id || !(signature.pattern instanceof RegExp) || typeof signature.diagnose !== 'function') {
+      throw new Error('Crash signature needs an id, a pattern and a diagnose function');
+    }
+    this.signatures = [signature, ...this.signatures.filter(item => item.id !== signature.id)];
+  }
+
+  // logs: 종료 직전 로그 항목 (오래된 것부터). 찾으면 { id, summary, remedy, line }, 없으면 null
+  analyze(logs, context = {}) {
+    const lines = logs
+      .filter(log => log && log.level !== 'hook' && log.level !== 'input')
+      .map(log => stripTerminalSequences(String(log.message || '')))
+      .reverse();
+
+    for (const signature of this.signatures) {
+      for (const line of lines) {
+        const match = line.match(signature.pattern);
+        if (!match) continue;
+        const diagnosis = signature.diagnose(match, context);
+        if (!diagnosis) continue;
+        return {
+          id: signature.id,
+          summary: diagnosis.summary,
+          remedy: diagnosis.remedy || null,
+          line: line.trim().slice(0, MAX_EXCERPT_LENGTH)
+        };
+      }
+    }
+    return null;
+  }
+}
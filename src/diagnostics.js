@@ -0,0 +1,36 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// 진단 정보 번들 저장: parentDir 아래에 `<서버 이름>-diagnostics-<시각>` 폴더를 만들고 가능하면 zip으로 압축
+// files: 파일 이름 -> 내용 (문자열은 그대로, 나머지는 JSON)
+// zip 명령이 없거나 실패하면 폴더를 그대로 남김
+export async function writeDiagnosticsBundle(parentDir, serverName, files) {
+  const safeName = String(serverName || 'server').replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '') || 'server';
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const bundleName = `${safeName}-diagnostics-${stamp}`;
+  const bundleDir = path.join(parentDir, bundleName);
+
+  try {
+    await fs.mkdir(bundleDir, { recursive: true });
+    for (const [fileName, content] of Object.entries(files)) {
+      const text = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+      await fs.writeFile(path.join(bundleDir, fileName), `${text}\n`, 'utf8');
+    }
+  } catch (error) {
+    return { success: false, error: `Failed to write diagnostics: ${error.message}` };
+  }
+
+  const zipPath = `${bundleDir}.zip`;
+  try {
+    await execFileAsync('zip', ['-qr', zipPath, bundleName], { cwd: parentDir, timeout: 30000 });
+    await fs.rm(bundleDir, { recursive: true, force: true });
+    return { success: true, path: zipPath };
+  } catch {
+    await fs.rm(zipPath, { force: true }).catch(() => {});
+    return { success: true, path: bundleDir };
+  }
+}
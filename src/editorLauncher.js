@@ -0,0 +1,104 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tokenizeCommand } from './commandLine.js';
+
+// 로그의 file:line:column 위치를 에디터로 열기
+//
+// command: 에디터 실행 명령 템플릿. {file}, {line}, {column} 자리표시자를 치환 ({file}이 없으면 맨 뒤에 경로 추가)
+//   예) code -g {file}:{line}:{column} / webstorm --line {line} --column {column} {file}
+// terminal: vim처럼 터미널이 필요한 에디터는 새 터미널 창에서 실행
+// 경로는 로그에서 온 값이므로 셸을 거치지 않고 argv로 직접 실행
+
+export const DEFAULT_EDITOR = { command: 'code -g {file}:{line}:{column}', terminal: false };
+
+export function normalizeEditorConfig(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const command = typeof source.command === 'string' && source.command.trim() ? source.command.trim() : DEFAULT_EDITOR.command;
+  return { command, terminal: source.terminal === true };
+}
+
+// file:// URL, webpack:// 경로, ~/ 및 상대 경로(서버 디렉토리 기준)를 절대 경로로
+export function resolveSourcePath(file, baseDir) {
+  let target = String(file || '').trim();
+  if (target.startsWith('file://')) {
+    try {
+      target = fileURLToPath(target);
+    } catch {
+      target = target.slice('file://'.length);
+    }
+  }
+  // webpack://<namespace>/./src/x.ts, webpack-internal:///./src/x.ts
+  target = target.replace(/^webpack(?:-internal)?:\/\/[^/]*\//, '');
+  if (target === '~' || target.startsWith('~/')) target = path.join(os.homedir(), target.slice(1));
+  return path.isAbsolute(target) ? path.normalize(target) : path.resolve(baseDir || os.homedir(), target);
+}
+
+export function buildEditorArgv(command, { file, line, column }) {
+  const values = { file, line: String(line || 1), column: String(column || 1) };
+  const tokens = tokenizeCommand(command);
+  if (tokens.length === 0) throw new Error('Editor command is empty');
+  const argv = tokens.map(token => token.replace(/\{(file|line|column)\}/g, (match, key) => values[key]));
+  if (!tokens.some(token => token.includes('{file}'))) argv.push(file);
+  return argv;
+}
+
+function shellQuote(value) {
+  return /^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// 터미널 창에서 실행할 argv (macOS는 Terminal.app, 그 외는 x-terminal-emulator)
+function wrapInTerminal(argv) {
+  if (process.platform === 'darwin') {
+    const commandLine = argv.map(shellQuote).join(' ').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return ['osascript', '-e', `tell application "Terminal" to do script "${commandLine}"`, '-e', 'tell application "Terminal" to activate'];
+  }
+  return ['x-terminal-emulator', '-e', ...argv];
+}
+
+// 실행 파일을 못 찾는 등 spawn 자체가 실패하면 오류로 반환하고, 에디터 프로세스는 기다리지 않음
+function launchDetached(argv, cwd) {
+  return new Promise((resolve) => {
+    let child;
+    try {
+      child = spawn(argv[0], argv.slice(1), { cwd, detached: true, stdio: 'ignore', env: process.env });
+    } catch (error) {
+      resolve({ success: false, error: error.message });
+      return;
+    }
+    child.once('error', (error) => {
+      resolve({
+        success: false,
+        error: error.code === 'ENOENT' ? `Editor command not found: ${argv[0]}` : error.message
+      });
+    });
+    child.once('spawn', () => {
+      child.unref();
+      resolve({ success: true });
+    });
+  });
+}
+
+// location: { file, line, column }, baseDir: 상대 경로 기준 디렉토리 (서버 경로)
+export async function openInEditor(config, location, baseDir) {
+  const editor = normalizeEditorConfig(config);
+  const file = resolveSourcePath(location?.file, baseDir);
+  try {
+    await fs.access(file);
+  } catch {
+    return { success: false, error: `File not found: ${file}` };
+  }
+
+  let argv;
+  try {
+    argv = buildEditorArgv(editor.command, { file, line: location.line, column: location.column });
+  } catch (error) {
+    return { success: false, error: `Invalid editor command: ${error.message}` };
+  }
+  if (editor.terminal) argv = wrapInTerminal(argv);
+
+  const result = await launchDetached(argv, path.dirname(file));
+  return result.success ? { success: true, path: file } : result;
+}
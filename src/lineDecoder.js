@@ -0,0 +1,93 @@
+import { StringDecoder } from 'string_decoder';
+
+// 프로세스 출력 스트림을 줄 단위로 나누는 디코더
+//
+// - UTF-8 멀티바이트 문자가 청크 경계에서 잘려도 깨지지 않도록 StringDecoder로 디코딩
+// - 여러 청크에 걸친 한 줄은 하나로 합치고, 한 청크에 여러 줄이 있으면 줄마다 따로 전달
+// - \r로 같은 줄을 덮어쓰는 출력(진행률 표시)은 마지막 내용만 남김
+// - 줄바꿈 없이 끝난 출력(프롬프트 등)은 출력이 flushTimeoutMs 동안 멈추면 전달
+// - 각 줄의 시각은 그 줄의 첫 데이터가 도착한 시각
+
+export const LINE_FLUSH_TIMEOUT_MS = 250;
+const MAX_PENDING_LENGTH = 64 * 1024;
+const SGR_SEQUENCE = /\x1b\[[0-9;:]*m/g;
+
+// 덮어쓴 앞부분의 텍스트는 버리되, 색상(SGR) 상태는 이어지도록 시퀀스만 남김
+export function collapseCarriageReturns(line) {
+  const parts = line.split('\r');
+  if (parts.length === 1) return line;
+  const carried = parts.slice(0, -1).join('').match(SGR_SEQUENCE) || [];
+  return carried.join('') + parts[parts.length - 1];
+}
+
+export class LineDecoder {
+  // onLine(line, timestamp)
+  constructor(onLine, { flushTimeoutMs = LINE_FLUSH_TIMEOUT_MS } = {}) {
+    this.onLine = onLine;
+    this.flushTimeoutMs = flushTimeoutMs;
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
+    this.pendingSince = null;
+    this.timer = null;
+  }
+
+  // chunk: Buffer(child_process) 또는 이미 디코딩된 문자열(node-pty)
+  write(chunk) {
+    const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    if (!text) return;
+
+    const now = new Date();
+    if (!this.pending) this.pendingSince = now;
+    const lines = (this.pending + text).split('\n');
+    this.pending = lines.pop();
+    lines.forEach((line, index) => this.emitLine(line, index === 0 ? this.pendingSince : now));
+
+    if (!this.pending) {
+      this.clearTimer();
+      return;
+    }
+    if (lines.length > 0) this.pendingSince = now;
+    // 끝의 \r은 \r\n이 청크 경계에서 나뉜 것일 수 있으므로 남겨둠
+    const trailingCr = this.pending.match(/\r*$/)[0];
+    this.pending = collapseCarriageReturns(this.pending.slice(0, this.pending.length - trailingCr.length)) + trailingCr;
+
+    if (this.pending.length > MAX_PENDING_LENGTH) {
+      this.flush();
+    } else {
+      // 출력이 이어지는 동안은 미뤘다가 멈추면 전달
+      this.clearTimer();
+      this.timer = setTimeout(() => this.flush(), this.flushTimeoutMs);
+    }
+  }
+
+  // PTY는 \n을 \r\n으로 바꾸므로 "...\r\r\n"처럼 \r이 여러 개 붙을 수 있음
+  emitLine(line, timestamp) {
+    this.onLine(collapseCarriageReturns(line.replace(/\r+$/, '')), timestamp);
+  }
+
+  // 아직 줄바꿈이 오지 않은 나머지를 한 줄로 전달
+  flush() {
+    this.clearTimer();
+    if (!this.pending) return;
+    const line = this.pending;
+    this.pending = '';
+    this.emitLine(line, this.pendingSince);
+  }
+
+  // 스트림 종료(프로세스 종료) 시: 디코더에 남은 바이트까지 전달
+  end() {
+    const rest = this.decoder.end();
+    if (rest) {
+      if (!this.pending) this.pendingSince = new Date();
+      this.pending += rest;
+    }
+    this.flush();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
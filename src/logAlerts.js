@@ -0,0 +1,98 @@
+import { stripTerminalSequences } from './ptyProcess.js';
+
+// 로그 패턴 알림 규칙 (서버별 규칙 + 전체 서버 공통 규칙)
+//
+// 규칙: { pattern, ignoreCase, level, cooldownSeconds }
+// - pattern: 로그 메시지(구조화 로그는 원본 JSON 줄 포함)에서 찾을 정규식
+// - level: 이 레벨 이상의 줄만 검사 ('' = 모든 줄, hook/input 줄 포함)
+// - 같은 서버에서 같은 규칙은 cooldownSeconds 동안 한 번만 알림, 그 사이 일치한 횟수는 다음 알림에 합산
+// - 규칙과 서버에 상관없이 1분에 MAX_ALERTS_PER_MINUTE개까지만 알림
+
+export const ALERT_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+export const DEFAULT_ALERT_COOLDOWN_SECONDS = 60;
+const MAX_ALERTS_PER_MINUTE = 10;
+const MAX_ALERT_RULES = 50;
+
+export function normalizeAlertRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+    .map(rule => {
+      const cooldownSeconds = Number(rule.cooldownSeconds);
+      return {
+        pattern: rule.pattern.trim(),
+        ignoreCase: rule.ignoreCase !== false,
+        level: ALERT_LEVELS.includes(rule.level) ? rule.level : '',
+        cooldownSeconds: Number.isFinite(cooldownSeconds) && cooldownSeconds >= 0
+          ? Math.min(Math.floor(cooldownSeconds), 24 * 60 * 60)
+          : DEFAULT_ALERT_COOLDOWN_SECONDS
+      };
+    })
+    .filter(rule => !validateAlertPattern(rule.pattern))
+    .slice(0, MAX_ALERT_RULES);
+}
+
+// 잘못된 정규식이면 오류 메시지, 아니면 null
+export function validateAlertPattern(pattern) {
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function ruleKey(rule) {
+  return `${rule.level}:${rule.ignoreCase ? 'i' : ''}:${rule.pattern}`;
+}
+
+export class LogAlertMonitor {
+  constructor() {
+    this.patterns = new Map(); // ruleKey -> RegExp
+    this.state = new Map(); // `${serverId}\n${ruleKey}` -> { lastFiredAt, suppressed }
+    this.recentAlerts = []; // 최근 1분간 알림 시각 (전체 알림 수 제한)
+  }
+
+  getPattern(rule) {
+    const key = ruleKey(rule);
+    if (!this.patterns.has(key)) this.patterns.set(key, new RegExp(rule.pattern, rule.ignoreCase ? 'i' : ''));
+    return this.patterns.get(key);
+  }
+
+  matches(rule, log) {
+    if (rule.level && ALERT_LEVELS.indexOf(log.level) < ALERT_LEVELS.indexOf(rule.level)) return false;
+    const pattern = this.getPattern(rule);
+    return pattern.test(stripTerminalSequences(String(log.message || '')))
+      || (typeof log.raw === 'string' && pattern.test(log.raw));
+  }
+
+  // 알림을 보낼 규칙: { rule, suppressed } 또는 null (suppressed: 직전 알림 이후 묶인 일치 횟수)
+  // 한 줄에 여러 규칙이 일치해도 알림은 처음 알림 가능한 규칙 하나
+  evaluate(serverId, log, rules, now = Date.now()) {
+    for (const rule of rules) {
+      if (!this.matches(rule, log)) continue;
+
+      const key = `${serverId}\n${ruleKey(rule)}`;
+      const state = this.state.get(key) || { lastFiredAt: 0, suppressed: 0 };
+      this.state.set(key, state);
+      this.recentAlerts = this.recentAlerts.filter(time => now - time < 60000);
+      if (now - state.lastFiredAt < rule.cooldownSeconds * 1000 || this.recentAlerts.length >= MAX_ALERTS_PER_MINUTE) {
+        state.suppressed += 1;
+        continue;
+      }
+
+      const alert = { rule, suppressed: state.suppressed };
+      state.lastFiredAt = now;
+      state.suppressed = 0;
+      this.recentAlerts.push(now);
+      return alert;
+    }
+    return null;
+  }
+
+  clearServer(serverId) {
+    for (const key of this.state.keys()) {
+      if (key.startsWith(`${serverId}\n`)) this.state.delete(key);
+    }
+  }
+}
@@ -0,0 +1,286 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseStructuredLogLine } from './structuredLog.js';
+
+// 서버별 로그를 디스크에 기록 (실행 단위 파일 + 크기 기준 로테이션)
+//
+// <rootDir>/<serverId>/<runId>.log, <runId>.2.log, ... 형태로 저장
+// - 서버를 시작할 때마다 새 run 파일을 만들고, 파일이 maxFileSizeMb를 넘으면 다음 조각으로 넘어감
+// - 서버별 파일 수가 maxFiles를 넘으면 가장 오래된 파일부터 삭제 (현재 기록 중인 파일은 제외)
+// - 한 줄 형식: "<ISO 시각> [<level>] <message>" (여러 줄 메시지는 그대로 이어서 기록)
+//   구조화(JSON) 로그는 message 대신 원본 JSON 줄을 기록하고, 읽을 때 다시 해석
+
+export const DEFAULT_LOG_FILES = { enabled: true, maxFileSizeMb: 5, maxFiles: 10 };
+
+const FLUSH_DELAY_MS = 200;
+const FLUSH_THRESHOLD = 64 * 1024;
+const READ_LIMIT_BYTES = 2 * 1024 * 1024; // 이전 실행 로그를 열 때 읽는 최대 크기 (끝부분 기준)
+const LOG_FILE_PATTERN = /^(.+?)(?:\.(\d+))?\.log$/;
+const LOG_LINE_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) \[([\w-]+)\] ?(.*)$/;
+
+export function normalizeLogFiles(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const maxFileSizeMb = Number(source.maxFileSizeMb);
+  const maxFiles = Number(source.maxFiles);
+  return {
+    enabled: source.enabled !== false,
+    maxFileSizeMb: Number.isFinite(maxFileSizeMb) && maxFileSizeMb > 0
+      ? Math.min(Math.max(maxFileSizeMb, 0.1), 1024)
+      : DEFAULT_LOG_FILES.maxFileSizeMb,
+    maxFiles: Number.isFinite(maxFiles) && maxFiles >= 1
+      ? Math.min(Math.floor(maxFiles), 1000)
+      : DEFAULT_LOG_FILES.maxFiles
+  };
+}
+
+function formatLogLine({ timestamp, level, message, raw }) {
+  return `${new Date(timestamp).toISOString()} [${level}] ${raw || message}\n`;
+}
+
+// 파일 내용을 로그 항목 배열로 복원 (형식에 맞지 않는 줄은 앞 항목의 연속 줄로 취급)
+export function parseLogFileContent(text) {
+  const entries = [];
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(LOG_LINE_PATTERN);
+    if (match) {
+      entries.push({ timestamp: new Date(match[1]), level: match[2], message: match[3] });
+    } else if (entries.length > 0 && line) {
+      entries[entries.length - 1].message += `\n${line}`;
+    }
+  }
+  return entries.map(entry => {
+    const structured = parseStructuredLogLine(entry.message);
+    if (!structured) return entry;
+    return {
+      ...entry,
+      message: structured.message,
+      raw: entry.message,
+      fields: structured.fields,
+      stack: structured.stack
+    };
+  });
+}
+
+function parseLogFileName(fileName) {
+  const match = fileName.match(LOG_FILE_PATTERN);
+  if (!match) return null;
+  return { runId: match[1], segment: match[2] ? Number(match[2]) : 1 };
+}
+
+function compareLogFiles(a, b) {
+  if (a.runId !== b.runId) return a.runId < b.runId ? -1 : 1;
+  return a.segment - b.segment;
+}
+
+// runId는 시작 시각 (파일 이름에 쓸 수 없는 ':'와 '.'을 '-'로 치환)
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function runIdToDate(runId) {
+  const match = runId.match(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return match ? new Date(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`) : null;
+}
+
+export class LogFileStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.writers = new Map(); // serverId -> { runId, segment, file, size, pending, timer, chain, options }
+  }
+
+  getServerDir(serverId) {
+    return path.join(this.rootDir, String(serverId).replace(/[^\w.-]/g, '_'));
+  }
+
+  getSegmentPath(serverId, runId, segment) {
+    return path.join(this.getServerDir(serverId), segment > 1 ? `${runId}.${segment}.log` : `${runId}.log`);
+  }
+
+  // 서버 시작 시 호출: 이전 run의 남은 내용을 기록하고 새 run 파일로 전환
+  // 파일은 첫 내용을 기록할 때 만듦 (아무것도 기록하지 않은 run은 파일도, 정리 대상 수도 남기지 않음)
+  startRun(serverId, options) {
+    const previous = this.writers.get(serverId);
+    if (previous) this.flush(serverId);
+
+    const runId = createRunId();
+    const writer = {
+      runId,
+      segment: 1,
+      file: this.getSegmentPath(serverId, runId, 1),
+      size: 0,
+      pending: '',
+      timer: null,
+      chain: previous ? previous.chain : Promise.resolve(),
+      options: normalizeLogFiles(options),
+      opened: false
+    };
+    this.writers.set(serverId, writer);
+    return runId;
+  }
+
+  append(serverId, entry, options) {
+    const config = normalizeLogFiles(options);
+    if (!config.enabled) return;
+
+    // 앱 시작 후 아직 실행한 적 없는 서버의 로그 (예: 이전 세션에서 남은 프로세스 정리)
+    if (!this.writers.has(serverId)) this.startRun(serverId, config);
+    const writer = this.writers.get(serverId);
+    writer.options = config;
+    writer.pending += formatLogLine(entry);
+
+    if (writer.pending.length >= FLUSH_THRESHOLD) {
+      this.flush(serverId);
+    } else if (!writer.timer) {
+      writer.timer = setTimeout(() => this.flush(serverId), FLUSH_DELAY_MS);
+    }
+  }
+
+  flush(serverId) {
+    const writer = this.writers.get(serverId);
+    if (!writer) return Promise.resolve();
+    clearTimeout(writer.timer);
+    writer.timer = null;
+
+    const chunk = writer.pending;
+    writer.pending = '';
+    if (chunk) {
+      this.enqueue(writer, async () => {
+        if (!writer.opened) {
+          writer.opened = true;
+          await fs.mkdir(this.getServerDir(serverId), { recursive: true });
+          await this.prune(serverId, writer);
+        }
+        const maxBytes = writer.options.maxFileSizeMb * 1024 * 1024;
+        if (writer.size > 0 && writer.size + Buffer.byteLength(chunk) > maxBytes) {
+          writer.segment += 1;
+          writer.file = this.getSegmentPath(serverId, writer.runId, writer.segment);
+          writer.size = 0;
+          await this.prune(serverId, writer);
+        }
+        await fs.appendFile(writer.file, chunk);
+        writer.size += Buffer.byteLength(chunk);
+      });
+    }
+    return writer.chain;
+  }
+
+  async flushAll() {
+    await Promise.all(Array.from(this.writers.keys()).map(serverId => this.flush(serverId)));
+  }
+
+  // 파일 쓰기는 서버별로 순서대로 실행 (실패해도 다음 쓰기는 계속)
+  enqueue(writer, task) {
+    writer.chain = writer.chain.then(task).catch(error => {
+      console.error(`Failed to write log file ${writer.file}:`, error.message);
+    });
+    return writer.chain;
+  }
+
+  async listFiles(serverId) {
+    let names = [];
+    try {
+      names = await fs.readdir(this.getServerDir(serverId));
+    } catch {
+      return [];
+    }
+    const files = [];
+    for (const name of names) {
+      const parsed = parseLogFileName(name);
+      if (!parsed) continue;
+      const file = path.join(this.getServerDir(serverId), name);
+      try {
+        const stat = await fs.stat(file);
+        files.push({ ...parsed, file, size: stat.size, modifiedAt: stat.mtime });
+      } catch {
+        // 목록을 읽는 사이 삭제된 파일
+      }
+    }
+    return files.sort(compareLogFiles);
+  }
+
+  async prune(serverId, writer) {
+    const files = await this.listFiles(serverId);
+    // 아직 만들어지지 않은 현재 파일도 한 자리로 계산
+    const count = files.some(item => item.file === writer.file) ? files.length : files.length + 1;
+    const removable = files.filter(item => item.file !== writer.file).slice(0, Math.max(0, count - writer.options.maxFiles));
+    await Promise.all(removable.map(item => fs.unlink(item.file).catch(() => {})));
+  }
+
+  // 실행 기록 목록 (최신 순)
+  async listRuns(serverId) {
+    await this.flush(serverId);
+    const runs = new Map();
+    for (const item of await this.listFiles(serverId)) {
+      const run = runs.get(item.runId) || {
+        runId: item.runId,
+        startedAt: runIdToDate(item.runId),
+        endedAt: null,
+        size: 0,
+        files: [],
+        current: this.writers.get(serverId)?.runId === item.runId
+      };
+      run.size += item.size;
+      run.files.push(item.file);
+      run.endedAt = !run.endedAt || item.modifiedAt > run.endedAt ? item.modifiedAt : run.endedAt;
+      runs.set(item.runId, run);
+    }
+    return Array.from(runs.values()).reverse();
+  }
+
+  // 한 run의 로그 항목 (너무 크면 마지막 READ_LIMIT_BYTES만 읽음)
+  async readRun(serverId, runId) {
+    await this.flush(serverId);
+    const files = (await this.listFiles(serverId)).filter(item => item.runId === runId);
+    if (files.length === 0) return { success: false, error: 'Log file not found' };
+
+    const chunks = [];
+    let remaining = READ_LIMIT_BYTES;
+    let truncated = files[0].segment > 1; // 앞 조각이 로테이션으로 이미 삭제됨
+    let partialFirstLine = false; // 조각은 항상 줄 경계에서 시작하므로 파일 중간부터 읽은 경우에만 첫 줄이 잘림
+    for (const item of [...files].reverse()) {
+      if (remaining <= 0) {
+        truncated = true;
+        break;
+      }
+      const handle = await fs.open(item.file, 'r');
+      try {
+        const length = Math.min(item.size, remaining);
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, item.size - length);
+        chunks.unshift(buffer);
+        remaining -= length;
+        if (length < item.size) {
+          truncated = true;
+          partialFirstLine = true;
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+
+    let text = Buffer.concat(chunks).toString('utf8');
+    // 파일 중간부터 읽었으면 잘린 첫 줄은 버림
+    if (partialFirstLine) text = text.slice(text.indexOf('\n') + 1);
+    return { success: true, runId, truncated, entries: parseLogFileContent(text) };
+  }
+
+  // 현재(또는 지정한) run의 마지막 파일 경로
+  async getLogFilePath(serverId, runId = null) {
+    await this.flush(serverId);
+    const writer = this.writers.get(serverId);
+    const targetRunId = runId || writer?.runId;
+    const files = (await this.listFiles(serverId)).filter(item => !targetRunId || item.runId === targetRunId);
+    return files.length > 0 ? files[files.length - 1].file : null;
+  }
+
+  // 서버 삭제 시 기록 중단 및 로그 디렉토리 제거
+  async removeServer(serverId) {
+    const writer = this.writers.get(serverId);
+    if (writer) {
+      clearTimeout(writer.timer);
+      this.writers.delete(serverId);
+      await writer.chain;
+    }
+    await fs.rm(this.getServerDir(serverId), { recursive: true, force: true });
+  }
+}
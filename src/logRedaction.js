@@ -0,0 +1,101 @@
+// 로그의 비밀값 마스킹 (메모리 버퍼/화면/로그 파일에 들어가기 전에 적용)
+//
+// - 기본 검출기: Bearer 토큰, JWT, URL의 사용자:비밀번호, AWS 액세스 키 ID, password=/secret=/api_key= 형태의 값
+// - 환경변수 값: 이름이 비밀처럼 보이거나(SECRET, PASSWORD, TOKEN, API_KEY 등) secretEnvVars에 지정된 변수의 값
+// - 사용자 정규식: 캡처 그룹이 있으면 첫 번째 그룹만, 없으면 일치 전체를 마스킹
+
+export const REDACTED = '[REDACTED]';
+
+const SECRET_KEY_NAME = '(?:password|passwd|secret|api[_-]?key|access[_-]?key|access[_-]?token|auth[_-]?token|refresh[_-]?token|private[_-]?key)';
+const SECRET_FIELD_NAME = new RegExp(SECRET_KEY_NAME, 'i');
+
+// keepPrefix: 첫 번째 그룹(키 이름, 스킴 등)은 남기고 나머지만 마스킹
+const BUILTIN_DETECTORS = [
+  { pattern: /\b(Bearer\s+)[A-Za-z0-9\-._~+/]{8,}=*/gi, keepPrefix: true },
+  { pattern: /\b([a-z][a-z0-9+.-]*:\/\/[^\s:@/]*:)[^\s@/]+(?=@)/gi, keepPrefix: true },
+  { pattern: /\beyJ[\w-]{4,}\.[\w-]{4,}\.[\w-]{4,}/g, keepPrefix: false },
+  { pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g, keepPrefix: false },
+  { pattern: new RegExp(`\\b([\\w.-]*${SECRET_KEY_NAME}["']?\\s*[:=]\\s*["']?)[^\\s"',;&}]+`, 'gi'), keepPrefix: true }
+];
+
+const SECRET_ENV_NAME = /SECRET|PASSWORD|PASSWD|TOKEN|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIAL/i;
+const MIN_SECRET_VALUE_LENGTH = 6; // 'true', '1234' 같은 짧은 값은 로그 곳곳과 겹치므로 제외
+
+export function normalizeRedaction(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const patterns = (Array.isArray(source.patterns) ? source.patterns : [])
+    .filter(pattern => typeof pattern === 'string' && pattern.trim())
+    .map(pattern => pattern.trim())
+    .filter(pattern => {
+      try {
+        new RegExp(pattern);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  const secretEnvVars = (Array.isArray(source.secretEnvVars) ? source.secretEnvVars : [])
+    .filter(name => typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name.trim()))
+    .map(name => name.trim());
+  return { enabled: source.enabled !== false, patterns, secretEnvVars };
+}
+
+// 값을 마스킹할 환경변수 이름인지 (이름이 비밀처럼 보이거나 secretEnvVars에 지정됨)
+export function isSecretEnvName(name, redaction) {
+  return SECRET_ENV_NAME.test(name) || normalizeRedaction(redaction).secretEnvVars.includes(name);
+}
+
+// 서버에 전달되는 환경변수 중 마스킹할 값 (긴 값부터)
+export function collectSecretEnvValues(env, redaction) {
+  const values = new Set();
+  Object.entries(env || {}).forEach(([key, value]) => {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_VALUE_LENGTH) return;
+    if (isSecretEnvName(key, redaction)) values.add(value);
+  });
+  return Array.from(values).sort((a, b) => b.length - a.length);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class LogRedactor {
+  constructor(redaction, secretValues = []) {
+    const config = normalizeRedaction(redaction);
+    this.enabled = config.enabled;
+    this.secretPattern = secretValues.length > 0 ? new RegExp(secretValues.map(escapeRegExp).join('|'), 'g') : null;
+    this.userPatterns = config.patterns.map(pattern => ({
+      pattern: new RegExp(pattern, 'g'),
+      hasGroup: new RegExp(`${pattern}|`).exec('').length > 1
+    }));
+  }
+
+  redact(text) {
+    if (!this.enabled || typeof text !== 'string' || !text) return text;
+    let result = this.secretPattern ? text.replace(this.secretPattern, REDACTED) : text;
+    for (const { pattern, keepPrefix } of BUILTIN_DETECTORS) {
+      result = result.replace(pattern, (match, prefix) => (keepPrefix ? `${prefix}${REDACTED}` : REDACTED));
+    }
+    for (const { pattern, hasGroup } of this.userPatterns) {
+      result = result.replace(pattern, (match, group) => {
+        if (!match) return match;
+        return hasGroup && group ? match.replace(group, REDACTED) : REDACTED;
+      });
+    }
+    return result;
+  }
+
+  // 구조화 로그의 필드 객체에서 문자열 값을 마스킹한 복사본 (password, apiKey 같은 키의 값은 통째로)
+  redactValue(value) {
+    if (!this.enabled) return value;
+    if (typeof value === 'string') return this.redact(value);
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        typeof item === 'string' && item && SECRET_FIELD_NAME.test(key) ? REDACTED : this.redactValue(item)
+      ]));
+    }
+    return value;
+  }
+}
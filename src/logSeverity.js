@@ -0,0 +1,145 @@
+import { stripTerminalSequences } from './ptyProcess.js';
+
+// 프로세스 출력 한 줄의 실제 심각도 추정 (stdout/stderr 구분과 별개)
+//
+// 우선순위: 서버별 규칙 > 내장 검출기 > 들여쓴 연속 줄(스택 트레이스, 여러 줄 경고)은 앞 줄의 레벨 > 스트림 기본값
+// - stdout 기본값은 info, stderr 기본값은 defaultStderrLevel (info가 기본 - 진행률 등 태그 없는 stderr 출력은 오류가 아님)
+// - error는 검출기나 규칙에 일치한 줄에만 붙음
+// - 규칙: { pattern(정규식), level, stream('' | 'stdout' | 'stderr') }, 위에서부터 처음 일치한 규칙 적용
+
+export const SEVERITY_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+export const DEFAULT_SEVERITY = { defaultStderrLevel: 'info', rules: [] };
+const SEVERITY_STREAMS = ['', 'stdout', 'stderr'];
+const MAX_SEVERITY_RULES = 50;
+
+// 레벨 토큰 별칭 → 표시용 레벨
+const LEVEL_TOKENS = {
+  fatal: 'fatal',
+  panic: 'fatal',
+  critical: 'fatal',
+  crit: 'fatal',
+  error: 'error',
+  err: 'error',
+  'err!': 'error',
+  warn: 'warn',
+  warning: 'warn',
+  info: 'info',
+  notice: 'info',
+  log: 'info',
+  debug: 'debug',
+  verbose: 'debug',
+  trace: 'trace'
+};
+const LEVEL_TOKEN_SOURCE = 'fatal|panic|critical|crit|error|err!?|warning|warn|info|notice|log|debug|verbose|trace';
+
+// 내장 검출기 (위에서부터 처음 일치한 것)
+const DETECTORS = [
+  // NestJS: [Nest] 1234  - 01/01/2024, 10:00:00 AM     LOG [NestFactory] Starting Nest application...
+  { pattern: /^\[Nest\]\s+\d+\s+-\s+.*?\s(LOG|WARN|ERROR|DEBUG|VERBOSE|FATAL)\s/, level: match => LEVEL_TOKENS[match[1].toLowerCase()] },
+  // npm / yarn / pnpm: "npm WARN deprecated ...", "npm ERR! code ELIFECYCLE", "npm notice", " WARN  ..."
+  { pattern: /^(?:npm|yarn|pnpm)\s+(WARN|ERR!|error|warning|notice|info|verb|sill|http|timing)\b/i, level: match => npmLevel(match[1]) },
+  // webpack / dev server 진행률과 빌드 결과
+  { pattern: /\[webpack\.Progress\]/, level: 'info' },
+  { pattern: /^<([iwe])>\s*\[webpack/, level: match => ({ i: 'info', w: 'warn', e: 'error' })[match[1]] },
+  { pattern: /\b(?:Failed to compile|compiled with \d+ errors?|Compiled with errors|ERROR in\b)/i, level: 'error' },
+  { pattern: /\b(?:compiled with \d+ warnings?|Compiled with warnings|WARNING in\b)/i, level: 'warn' },
+  // Node 경고: (node:1234) Warning: ..., (node:1234) [DEP0040] DeprecationWarning: ...
+  { pattern: /^\(node:\d+\)\s+(?:\[\w+\]\s+)?\w*Warning\b/, level: 'warn' },
+  // 선택적 타임스탬프 뒤의 레벨 토큰: "WARN ...", "[error] ...", "warning: ...", "2024-01-01T10:00:00Z INFO ..."
+  // 괄호나 콜론 없이 쓰인 토큰은 대문자일 때만 ("Error handling ..." 같은 일반 문장 제외)
+  {
+    pattern: new RegExp(`^(?:\\[?[\\d\\-/.:TZ+, ]{6,}\\]?\\s+)?([\\[(<])?\\s*(${LEVEL_TOKEN_SOURCE})\\s*([\\])>])?(:)?(?=[\\s|-]|$)`, 'i'),
+    level: match => (match[1] || match[3] || match[4] || match[2] === match[2].toUpperCase() ? LEVEL_TOKENS[match[2].toLowerCase()] : null)
+  },
+  { pattern: /\blevel=["']?(fatal|panic|error|err|warning|warn|info|debug|trace)\b/i, level: match => LEVEL_TOKENS[match[1].toLowerCase()] },
+  // 스택 트레이스와 예외 첫 줄: "    at foo (file.js:1:2)", "TypeError: ...", "Uncaught Error ...", "UnhandledPromiseRejection..."
+  { pattern: /^\s+at\s+(?:async\s+)?\S.*(?:\)|:\d+)$/, level: 'error' },
+  { pattern: /^(?:Uncaught\s+)?(?:[A-Z]\w*)?(?:Error|Exception)(?:\s\[\w+\])?:\s|UnhandledPromiseRejection|^\s*throw\s/, level: 'error' }
+];
+
+function npmLevel(token) {
+  const value = token.toLowerCase();
+  if (value === 'err!' || value === 'error') return 'error';
+  if (value === 'warn' || value === 'warning') return 'warn';
+  if (value === 'verb' || value === 'sill' || value === 'timing') return 'debug';
+  return 'info';
+}
+
+export function normalizeSeverity(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const rules = (Array.isArray(source.rules) ? source.rules : [])
+    .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim() && SEVERITY_LEVELS.includes(rule.level))
+    .map(rule => ({
+      pattern: rule.pattern.trim(),
+      level: rule.level,
+      stream: SEVERITY_STREAMS.includes(rule.stream) ? rule.stream : ''
+    }))
+    .filter(rule => {
+      try {
+        new RegExp(rule.pattern);
+        return true;
+      } catch {
+        return false;
+      }
+    })
+    .slice(0, MAX_SEVERITY_RULES);
+  return {
+    defaultStderrLevel: SEVERITY_LEVELS.includes(source.defaultStderrLevel) ? source.defaultStderrLevel : DEFAULT_SEVERITY.defaultStderrLevel,
+    rules
+  };
+}
+
+// 서버(와 스트림)별로 직전 줄의 레벨을 기억해 들여쓴 연속 줄에 이어 적용
+// severity는 normalizeServerConfig에서 normalizeSeverity로 한 번 정규화된 설정 객체
+export class SeverityClassifier {
+  constructor() {
+    this.compiled = new WeakMap(); // 정규화된 설정 객체 -> 컴파일된 규칙 (설정이 바뀌면 새 객체가 되므로 비우지 않음)
+    this.previousLevels = new Map(); // `${serverId}:${stream}` -> 직전 줄의 추정 레벨 (기본값이면 null)
+  }
+
+  getRules(severity) {
+    if (!severity || !Array.isArray(severity.rules)) return [];
+    let rules = this.compiled.get(severity);
+    if (!rules) {
+      rules = severity.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+      this.compiled.set(severity, rules);
+    }
+    return rules;
+  }
+
+  // 서버별 규칙으로 정한 레벨 (일치하는 규칙이 없으면 null) - JSON 로그 줄의 level도 이 규칙으로 덮어씀
+  matchRule(stream, line, severity) {
+    const text = stripTerminalSequences(String(line || ''));
+    return this.getRules(severity).find(item => (!item.stream || item.stream === stream) && item.regex.test(text)) || null;
+  }
+
+  classify(serverId, stream, line, severity) {
+    const text = stripTerminalSequences(String(line || ''));
+    const key = `${serverId}:${stream}`;
+
+    const rule = this.matchRule(stream, text, severity);
+    if (rule) {
+      this.previousLevels.set(key, rule.level);
+      return rule.level;
+    }
+
+    for (const detector of DETECTORS) {
+      const match = text.match(detector.pattern);
+      if (!match) continue;
+      const level = typeof detector.level === 'function' ? detector.level(match) : detector.level;
+      if (!level) continue;
+      this.previousLevels.set(key, level);
+      return level;
+    }
+
+    const previous = this.previousLevels.get(key);
+    if (previous && /^\s+\S/.test(text)) return previous;
+    this.previousLevels.set(key, null);
+    return stream === 'stderr' ? severity?.defaultStderrLevel || DEFAULT_SEVERITY.defaultStderrLevel : 'info';
+  }
+
+  clearServer(serverId) {
+    this.previousLevels.delete(`${serverId}:stdout`);
+    this.previousLevels.delete(`${serverId}:stderr`);
+  }
+}
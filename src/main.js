@@ -2,7 +2,10 @@ import { app, BrowserWindow, ipcMain, Menu, nativeImage, Notification, shell, Tr
 import path from "path";
 import fs from "fs/promises";
 import { fileURLToPath } from "url";
-import ServerManager from "./serverManager.js";
+import ServerManager, { pickServerConfig, terminateProcessGroup } from "./serverManager.js";
+import { normalizeEditorConfig, openInEditor } from "./editorLauncher.js";
+import { writeDiagnosticsBundle } from "./diagnostics.js";
+import { stripTerminalSequences } from "./ptyProcess.js";
 import Store from "electron-store";
 import net from "net";
 
@@ -21,6 +24,9 @@ if (isDev) {
 }
 const APP_NAME = 'GUI Process Manager';
 
+// 알림을 띄우는 상태 (starting/stopping 등 전환 중 상태는 제외)
+const NOTIFY_STATUSES = new Set(['running', 'stopped', 'error', 'crash-looping', 'unhealthy']);
+
 // 자동 경로 탐지 함수
 async function detectNodePaths() {
   const store = new Store();
@@ -89,11 +95,14 @@ class MSAServerManager {
   constructor() {
     this.tray = null;
     this.window = null;
-    this.serverManager = new ServerManager();
+    this.serverManager = new ServerManager({ logDir: path.join(app.getPath('userData'), 'logs') });
     this.store = new Store();
     this.isQuitting = false; // 종료 상태 플래그
     this.isDialogOpen = false; // native dialog 표시 중 blur-hide 방지
     this._portToolWarned = false;
+    this.lastNotifiedStatuses = new Map(); // serverId -> 마지막으로 알림을 판단한 상태
+    this.alertNotifications = new Set(); // 클릭 이벤트를 받을 수 있도록 표시 중인 로그 알림을 참조로 유지
+    this.serverManager.setGlobalAlertRules(this.store.get('alertRules', []));
 
     // 기본 서버 설정
     this.initializeServers();
@@ -111,6 +120,7 @@ class MSAServerManager {
           path: dynamicConfig.rootPath,
           command: dynamicConfig.runCommand || 'npm start',
           port: dynamicConfig.port || null,
+          ...pickServerConfig(dynamicConfig),
         }];
         this.serverManager.loadServers(servers);
       } catch (error) {
@@ -242,7 +252,9 @@ class MSAServerManager {
 
   updateTrayIcon() {
     const runningCount = this.serverManager.getRunningServers().length;
-    const totalCount = this.serverManager.getAllServers().length;
+    const allServers = this.serverManager.getAllServers();
+    const totalCount = allServers.length;
+    const crashLooping = allServers.filter(s => s.status === 'crash-looping');
 
     // 아이콘 색상 변경 (항상 icon.png 사용)
     const iconName = 'icon.png';
@@ -250,7 +262,10 @@ class MSAServerManager {
     const icon = nativeImage.createFromPath(iconPath);
 
     this.tray.setImage(icon.resize({ width: 16, height: 16 }));
-    this.tray.setToolTip(`${APP_NAME} (${runningCount}/${totalCount} running)`);
+    const crashLoopText = crashLooping.length > 0
+      ? `\nCrash-looping: ${crashLooping.map(s => s.name).join(', ')}`
+      : '';
+    this.tray.setToolTip(`${APP_NAME} (${runningCount}/${totalCount} running)${crashLoopText}`);
   }
 
   refreshWindowFrame() {
@@ -311,6 +326,30 @@ class MSAServerManager {
     });
   }
 
+  // 동적 서버의 공유 설정을 바꾸는 remedy 적용 전 확인 (true면 진행)
+  async confirmSharedConfigChange(server, remedy, sharedWith) {
+    this.isDialogOpen = true;
+    try {
+      if (this.window && !this.window.isVisible()) this.window.show();
+      if (this.window) this.window.focus();
+
+      const names = sharedWith.map(s => `"${s.name}"`);
+      const { response } = await dialog.showMessageBox(this.window, {
+        type: 'warning',
+        buttons: ['Apply to All', 'Cancel'],
+        defaultId: 0,
+        cancelId: 1,
+        title: 'Shared Settings',
+        message: `"${remedy.label}" will change the settings shared by all servers from the root path.`,
+        detail: `"${server.name}" shares its settings with ${names.length > 5 ? `${names.slice(0, 5).join(', ')} and ${names.length - 5} more` : names.join(', ')}. Apply the fix to all of them and start "${server.name}"?`,
+        noLink: true
+      });
+      return response === 0;
+    } finally {
+      this.isDialogOpen = false;
+    }
+  }
+
   async confirmAndFreePort(port, { title, message, detail, confirmLabel = 'Kill and Continue', cancelLabel = 'Cancel' }) {
     const normalizedPort = this.normalizePortValue(port);
     if (!normalizedPort) return { freed: true };
@@ -405,37 +444,9 @@ class MSAServerManager {
     }
   }
 
-  async terminateProcessGroupByPid(pid) {
-    try {
-      process.kill(-pid, 'SIGTERM');
-    } catch (e) {
-      if (e.code !== 'ESRCH') {
-        try {
-          process.kill(pid, 'SIGTERM');
-        } catch (_) { /* ignore */ }
-      }
-    }
-
-    const waitStart = Date.now();
-    while (Date.now() - waitStart < 6000) {
-      try {
-        process.kill(pid, 0);
-      } catch (e) {
-        if (e.code === 'ESRCH') return true;
-      }
-      await new Promise(r => setTimeout(r, 200));
-    }
-
-    // still alive -> SIGKILL
-    try {
-      process.kill(-pid, 'SIGKILL');
-    } catch (e) {
-      if (e.code !== 'ESRCH') {
-        try {
-          process.kill(pid, 'SIGKILL');
-        } catch (_) { /* ignore */ }
-      }
-    }
+  // 서버별 종료 정책(신호/유예 시간/단계적 강제 종료)으로 프로세스 그룹 종료
+  async terminateProcessGroupByPid(pid, stopPolicy = null) {
+    await terminateProcessGroup(pid, stopPolicy);
     return !(await this.isProcessAlive(pid));
   }
 
@@ -489,7 +500,7 @@ class MSAServerManager {
     const name = server.name || rt.name || serverId;
 
     if (!prompt) {
-      const terminated = await this.terminateProcessGroupByPid(pid);
+      const terminated = await this.terminateProcessGroupByPid(pid, this.serverManager.getStopPolicy(serverId));
       delete runtimes[serverId];
       this.store.set('serverRuntimes', runtimes);
       if (!terminated) return { ok: false, error: `Failed to terminate leftover PID ${pid}` };
@@ -518,7 +529,7 @@ class MSAServerManager {
       }
 
       if (response === 0) {
-        const terminated = await this.terminateProcessGroupByPid(pid);
+        const terminated = await this.terminateProcessGroupByPid(pid, this.serverManager.getStopPolicy(serverId));
         if (!terminated) {
           return { ok: false, error: `Failed to terminate leftover PID ${pid}` };
         }
@@ -533,6 +544,60 @@ class MSAServerManager {
     }
   }
 
+  // 서버 시작 (잔여 프로세스 정리, 포트 점유 확인 및 사용자 확인 포함)
+  async startServerWithChecks(serverId) {
+    try {
+      // 대상 서버 조회
+      const servers = this.serverManager.getAllServers();
+      const target = servers.find(s => s.id === serverId);
+
+      if (target) {
+        const staleRes = await this.cleanupStaleServerProcessForServer(target);
+        if (staleRes && staleRes.ok === false) {
+          return { success: false, error: staleRes.error || 'Start canceled' };
+        }
+      }
+
+      // actualPort(마지막 감지 포트)가 있으면 먼저 점유 확인 후 사용자 확인으로 종료
+      if (target && target.actualPort) {
+        const res = await this.confirmAndFreePort(target.actualPort, {
+          title: 'Last Detected Port In Use',
+          message: `Port ${target.actualPort} (last detected actual port) is in use.`,
+          detail: 'This port may be from the previous run. Terminate the process on this port and start the server?',
+          confirmLabel: 'Kill and Start',
+          cancelLabel: 'Cancel'
+        });
+        if (!res.freed) {
+          return { success: false, error: res.error || 'Start canceled: actualPort in use' };
+        }
+      }
+
+      // 포트가 설정되어 있거나 커맨드에서 유추되면 점유 프로세스 확인
+      const desiredPort = target ? (target.port || this.inferPortFromCommand(target.command)) : null;
+      if (target && desiredPort) {
+        // actualPort 확인에서 이미 처리한 포트면 중복 확인 스킵
+        if (!target.actualPort || this.normalizePortValue(target.actualPort) !== this.normalizePortValue(desiredPort)) {
+          const res = await this.confirmAndFreePort(desiredPort, {
+            title: 'Port In Use',
+            message: `Port ${desiredPort} is in use.`,
+            detail: 'Do you want to terminate it (SIGTERM) and start this server?',
+            confirmLabel: 'Kill and Start',
+            cancelLabel: 'Cancel'
+          });
+          if (!res.freed) {
+            return { success: false, error: res.error || 'Start canceled: port in use' };
+          }
+        }
+      }
+
+      const result = await this.serverManager.startServer(serverId);
+      this.updateTrayIcon();
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
   setupIpcHandlers() {
     // 폴더 선택 대화상자
     ipcMain.handle('select-folder', async () => {
@@ -589,56 +654,44 @@ class MSAServerManager {
 
     // 서버 시작 (포트 점유 확인 및 사용자 확인 포함)
     ipcMain.handle('start-server', async (event, serverId) => {
-      try {
-        // 대상 서버 조회
-        const servers = this.serverManager.getAllServers();
-        const target = servers.find(s => s.id === serverId);
-
-        if (target) {
-          const staleRes = await this.cleanupStaleServerProcessForServer(target);
-          if (staleRes && staleRes.ok === false) {
-            return { success: false, error: staleRes.error || 'Start canceled' };
-          }
-        }
+      return this.startServerWithChecks(serverId);
+    });
 
-        // actualPort(마지막 감지 포트)가 있으면 먼저 점유 확인 후 사용자 확인으로 종료
-        if (target && target.actualPort) {
-          const res = await this.confirmAndFreePort(target.actualPort, {
-            title: 'Last Detected Port In Use',
-            message: `Port ${target.actualPort} (last detected actual port) is in use.`,
-            detail: 'This port may be from the previous run. Terminate the process on this port and start the server?',
-            confirmLabel: 'Kill and Start',
-            cancelLabel: 'Cancel'
-          });
-          if (!res.freed) {
-            return { success: false, error: res.error || 'Start canceled: actualPort in use' };
-          }
-        }
+    // crash-looping 격리 해제 후 다시 시작
+    ipcMain.handle('resume-server', async (event, serverId) => {
+      const resumed = this.serverManager.resumeServer(serverId);
+      if (!resumed.success) return resumed;
+      return this.startServerWithChecks(serverId);
+    });
 
-        // 포트가 설정되어 있거나 커맨드에서 유추되면 점유 프로세스 확인
-        const desiredPort = target ? (target.port || this.inferPortFromCommand(target.command)) : null;
-        if (target && desiredPort) {
-          // actualPort 확인에서 이미 처리한 포트면 중복 확인 스킵
-          if (!target.actualPort || this.normalizePortValue(target.actualPort) !== this.normalizePortValue(desiredPort)) {
-            const res = await this.confirmAndFreePort(desiredPort, {
-              title: 'Port In Use',
-              message: `Port ${desiredPort} is in use.`,
-              detail: 'Do you want to terminate it (SIGTERM) and start this server?',
-              confirmLabel: 'Kill and Start',
-              cancelLabel: 'Cancel'
-            });
-            if (!res.freed) {
-              return { success: false, error: res.error || 'Start canceled: port in use' };
-            }
-          }
+    // 종료 원인 진단의 해결 방법 적용 후 다시 시작 (포트 점유 프로세스 종료는 확인 후)
+    ipcMain.handle('apply-crash-remedy', async (event, serverId) => {
+      const server = this.serverManager.getAllServers().find(s => s.id === serverId);
+      const remedy = server?.crashDiagnosis?.remedy;
+      if (!remedy) return { success: false, error: 'No suggested fix for this server' };
+
+      if (remedy.action === 'kill-port') {
+        const res = await this.confirmAndFreePort(remedy.port, {
+          title: 'Port In Use',
+          message: `Port ${remedy.port} is in use.`,
+          detail: `"${server.name}" exited because the port was taken. Terminate the owning process and start the server?`,
+          confirmLabel: 'Kill and Start',
+          cancelLabel: 'Cancel'
+        });
+        if (!res.freed) return { success: false, canceled: res.canceled, error: res.error || 'Canceled: port in use' };
+      } else {
+        // rootPath에서 생성된 서버는 설정(dynamicConfig)을 공유하므로 다른 동적 서버에도 적용됨을 확인
+        const sharedWith = server.isManual || !['switch-node-version', 'set-env'].includes(remedy.action)
+          ? []
+          : this.serverManager.getAllServers().filter(s => !s.isManual && s.id !== serverId);
+        if (sharedWith.length > 0) {
+          const confirmed = await this.confirmSharedConfigChange(server, remedy, sharedWith);
+          if (!confirmed) return { success: false, canceled: true, error: 'User canceled' };
         }
-
-        const result = await this.serverManager.startServer(serverId);
-        this.updateTrayIcon();
-        return result;
-      } catch (err) {
-        return { success: false, error: err.message };
+        const applied = await this.serverManager.applyCrashRemedy(serverId);
+        if (!applied.success) return applied;
       }
+      return this.startServerWithChecks(serverId);
     });
 
     // 서버 중지
@@ -648,6 +701,11 @@ class MSAServerManager {
       return result;
     });
 
+    // 종료 중인 서버 즉시 강제 종료
+    ipcMain.handle('force-kill-server', async (event, serverId) => {
+      return this.serverManager.forceKillServer(serverId);
+    });
+
     // 서버 재시작
     ipcMain.handle('restart-server', async (event, serverId) => {
       try {
@@ -700,9 +758,18 @@ class MSAServerManager {
 
     // 모든 서버 시작 (각 서버별 포트 점유 확인 및 사용자 확인 포함)
     ipcMain.handle('start-all', async () => {
-      const servers = this.serverManager.getAllServers();
+      const allServers = this.serverManager.getAllServers();
       const results = [];
 
+      // 의존성 순서(dependsOn)대로 시작. 순환이 있으면 시작하지 않음
+      let servers;
+      try {
+        const order = this.serverManager.getStartOrder();
+        servers = order.map(id => allServers.find(s => s.id === id)).filter(Boolean);
+      } catch (err) {
+        return [{ success: false, error: err.message }];
+      }
+
       for (const s of servers) {
         try {
           // 이미 실행 중이면 건너뜀
@@ -711,6 +778,12 @@ class MSAServerManager {
             continue;
           }
 
+          // crash-looping으로 격리된 서버는 Resume 전까지 건너뜀
+          if (s.status === 'crash-looping') {
+            results.push({ id: s.id, success: false, skipped: true, reason: 'crash-looping (resume first)' });
+            continue;
+          }
+
           const staleRes = await this.cleanupStaleServerProcessForServer(s);
           if (staleRes && staleRes.ok === false) {
             results.push({ id: s.id, success: false, skipped: true, reason: 'user canceled (leftover process)' });
@@ -749,6 +822,13 @@ class MSAServerManager {
             }
           }
 
+          // 의존 서버가 준비될 때까지 대기 (준비되지 않으면 건너뜀)
+          const deps = await this.serverManager.waitForDependencies(s.id);
+          if (!deps.ready) {
+            results.push({ id: s.id, success: false, skipped: true, reason: `dependency ${deps.dependency} not ready` });
+            continue;
+          }
+
           const res = await this.serverManager.startServer(s.id);
           results.push({ id: s.id, ...res });
         } catch (err) {
@@ -769,7 +849,94 @@ class MSAServerManager {
 
     // 로그 가져오기
     ipcMain.handle('get-logs', (event, serverId) => {
-      return this.serverManager.getLogs(serverId);
+      return this.serverManager.getDisplayLogs(serverId);
+    });
+
+    // 마스킹된 비밀값을 잠시 원본으로 보기
+    ipcMain.handle('set-secret-reveal', (event, serverId, revealed) => {
+      return this.serverManager.setSecretReveal(serverId, revealed);
+    });
+
+    ipcMain.handle('get-merged-logs', (event, serverIds) => {
+      return this.serverManager.getMergedLogs(serverIds);
+    });
+
+    // 디스크에 저장된 실행별 로그
+    ipcMain.handle('list-log-runs', (event, serverId) => {
+      return this.serverManager.listLogRuns(serverId);
+    });
+
+    ipcMain.handle('read-log-run', (event, serverId, runId) => {
+      return this.serverManager.readLogRun(serverId, runId);
+    });
+
+    // 로그 파일을 기본 앱으로 열기 (runId가 없으면 현재 실행의 파일)
+    ipcMain.handle('open-log-file', async (event, serverId, runId) => {
+      const filePath = await this.serverManager.getLogFilePath(serverId, runId);
+      if (!filePath) return { success: false, error: 'No log file has been written for this server yet' };
+      const error = await shell.openPath(filePath);
+      return error ? { success: false, error } : { success: true, path: filePath };
+    });
+
+    // 로그의 file:line:column 위치를 에디터로 열기 (상대 경로는 서버 디렉토리 기준)
+    ipcMain.handle('open-in-editor', async (event, serverId, location) => {
+      const server = this.serverManager.getAllServers().find(item => item.id === serverId);
+      return await openInEditor(this.store.get('editor'), location, server?.path);
+    });
+
+    ipcMain.handle('get-editor-config', () => {
+      return normalizeEditorConfig(this.store.get('editor'));
+    });
+
+    ipcMain.handle('save-editor-config', (event, config) => {
+      const editor = normalizeEditorConfig(config);
+      this.store.set('editor', editor);
+      return editor;
+    });
+
+    // 진단 정보 번들(zip 또는 폴더)을 선택한 폴더에 저장하고 Finder에서 보여주기
+    ipcMain.handle('export-diagnostics', async (event, serverId) => {
+      const diagnostics = await this.serverManager.collectDiagnostics(serverId);
+      if (!diagnostics.success) return diagnostics;
+      diagnostics.files['summary.json'].appVersion = app.getVersion();
+
+      this.isDialogOpen = true;
+      let selection;
+      try {
+        selection = await dialog.showOpenDialog(this.window, {
+          title: 'Save Diagnostics',
+          buttonLabel: 'Save Here',
+          defaultPath: app.getPath('downloads'),
+          properties: ['openDirectory', 'createDirectory']
+        });
+      } finally {
+        this.isDialogOpen = false;
+      }
+      if (selection.canceled || !selection.filePaths[0]) return { success: false, canceled: true };
+
+      const result = await writeDiagnosticsBundle(selection.filePaths[0], diagnostics.name, diagnostics.files);
+      if (result.success) shell.showItemInFolder(result.path);
+      return result;
+    });
+
+    // 예기치 않은 종료 기록 가져오기
+    ipcMain.handle('get-exit-history', (event, serverId) => {
+      return this.serverManager.getExitHistory(serverId);
+    });
+
+    // 실행될 argv 미리보기
+    ipcMain.handle('get-launch-preview', async (event, serverId, launch) => {
+      return await this.serverManager.getLaunchPreview(serverId, launch);
+    });
+
+    // 서버별 Node 버전 결정 결과 조회
+    ipcMain.handle('get-node-toolchain', async (event, serverId) => {
+      return await this.serverManager.getNodeToolchain(serverId);
+    });
+
+    // 서버 프로세스에 전달될 최종 환경변수 조회
+    ipcMain.handle('get-effective-env', async (event, serverId) => {
+      return await this.serverManager.getEffectiveEnv(serverId);
     });
 
     // 브라우저에서 열기
@@ -793,6 +960,34 @@ class MSAServerManager {
       this.refreshWindowFrame();
     });
 
+    // 서버 stdin으로 한 줄 입력 전달
+    ipcMain.handle('send-server-input', (event, serverId, line) => {
+      return this.serverManager.sendInput(serverId, line);
+    });
+
+    // PTY 모드 서버로 키 입력 전달
+    ipcMain.on('terminal-input', (event, serverId, data) => {
+      this.serverManager.writeTerminal(serverId, data);
+    });
+
+    // 서버 환경으로 내장 셸 열기/입력/닫기
+    ipcMain.handle('open-shell', (event, serverId) => {
+      return this.serverManager.openShell(serverId);
+    });
+
+    ipcMain.on('shell-input', (event, serverId, data) => {
+      this.serverManager.writeShell(serverId, data);
+    });
+
+    ipcMain.on('close-shell', (event, serverId) => {
+      this.serverManager.closeShell(serverId);
+    });
+
+    // PTY 모드 서버의 지금까지의 터미널 출력 (상세 화면 재진입 시 재생용)
+    ipcMain.handle('get-terminal-buffer', (event, serverId) => {
+      return this.serverManager.getTerminalBuffer(serverId);
+    });
+
     // 수동 서버 추가
     ipcMain.handle('add-manual-server', async (event, serverConfig) => {
       return this.serverManager.addManualServer(serverConfig);
@@ -826,12 +1021,32 @@ class MSAServerManager {
       }
       this.updateTrayIcon();
 
-      // 알림 표시
-      if (this.store.get('settings.notifications', true)) {
+      // 알림 표시 (상태가 실제로 바뀐 경우에만 - 리소스 갱신 등 같은 상태의 반복 이벤트는 무시)
+      const previousStatus = this.lastNotifiedStatuses.get(server.id);
+      this.lastNotifiedStatuses.set(server.id, server.status);
+      if (previousStatus !== server.status && NOTIFY_STATUSES.has(server.status)
+        && this.store.get('settings.notifications', true)) {
         this.showNotification(server);
       }
     });
 
+    // 로그 패턴 알림 (규칙은 ServerManager에서 검사, 전역 알림 설정이 꺼져 있으면 표시하지 않음)
+    this.serverManager.on('log-alert', (serverId, alert) => {
+      if (!this.store.get('settings.notifications', true)) return;
+      this.showLogAlert(serverId, alert);
+    });
+
+    // 전체 서버 공통 알림 규칙
+    ipcMain.handle('get-global-alert-rules', () => {
+      return this.serverManager.globalAlertRules;
+    });
+
+    ipcMain.handle('save-global-alert-rules', (event, rules) => {
+      const saved = this.serverManager.setGlobalAlertRules(rules);
+      this.store.set('alertRules', saved);
+      return saved;
+    });
+
     // Node 경로 가져오기
     ipcMain.handle('get-node-paths', () => {
       return this.store.get('nodePaths', { node: '', npm: '' });
@@ -859,6 +1074,26 @@ class MSAServerManager {
       }
     });
 
+    // PTY 터미널 출력
+    this.serverManager.on('terminal-data', (serverId, data) => {
+      if (this.window) {
+        this.window.webContents.send('terminal-data', { serverId, data });
+      }
+    });
+
+    // 내장 셸 출력/종료
+    this.serverManager.on('shell-data', (serverId, data) => {
+      if (this.window) {
+        this.window.webContents.send('shell-data', { serverId, data });
+      }
+    });
+
+    this.serverManager.on('shell-exit', (serverId, result) => {
+      if (this.window) {
+        this.window.webContents.send('shell-exit', { serverId, ...result });
+      }
+    });
+
     // 포트 불일치 알림 기능 제거됨
   }
 
@@ -933,8 +1168,8 @@ class MSAServerManager {
     const notification = new Notification({
       title: `${server.name} ${server.status}`,
       body: server.status === 'running'
-        ? `Server started on port ${server.port || 'N/A'}`
-        : server.status === 'error'
+        ? `Server ready on port ${server.actualPort || server.port || 'N/A'}`
+        : server.status === 'error' || server.status === 'crash-looping' || server.status === 'unhealthy'
           ? `Server failed: ${server.error}`
           : 'Server stopped',
       icon: path.join(__dirname, '../assets/icon.png')
@@ -943,6 +1178,36 @@ class MSAServerManager {
     notification.show();
   }
 
+  // 알림을 클릭하면 해당 서버의 상세 화면을 열고 일치한 줄로 이동
+  showLogAlert(serverId, { log, suppressed }) {
+    const server = this.serverManager.getAllServers().find(item => item.id === serverId);
+    const line = stripTerminalSequences(log.message).trim();
+    const notification = new Notification({
+      title: `${server?.name || serverId} — log alert`,
+      body: (line.length > 200 ? `${line.slice(0, 200)}…` : line)
+        + (suppressed > 0 ? `\n(+${suppressed} more since the last alert)` : ''),
+      icon: path.join(__dirname, '../assets/icon.png')
+    });
+
+    notification.on('click', async () => {
+      this.alertNotifications.delete(notification);
+      if (!this.window) await this.createWindow();
+      this.showWindow();
+      this.window.webContents.send('navigate', 'server-log', {
+        serverId,
+        timestamp: log.timestamp,
+        message: log.message
+      });
+    });
+    notification.on('close', () => this.alertNotifications.delete(notification));
+    // 알림 센터에 남은 알림은 close가 오지 않을 수 있으므로 오래된 것부터 놓아줌
+    if (this.alertNotifications.size >= 20) {
+      this.alertNotifications.delete(this.alertNotifications.values().next().value);
+    }
+    this.alertNotifications.add(notification);
+    notification.show();
+  }
+
   async gracefulShutdown() {
     if (this.isQuitting) {
       return; // 이미 종료 중이면 중복 실행 방지
@@ -956,6 +1221,7 @@ class MSAServerManager {
       // 실행 중인 서버가 없으면 바로 종료
       if (!this.serverManager.hasRunningServers()) {
         console.log('No running servers, exiting immediately');
+        await this.serverManager.flushLogs();
         this.serverManager.cleanup();
         app.exit(0);
         return;
@@ -986,6 +1252,7 @@ class MSAServerManager {
       
       // 리소스 정리
       if (this.serverManager) {
+        await this.serverManager.flushLogs();
         this.serverManager.cleanup();
       }
       
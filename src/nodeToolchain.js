@@ -0,0 +1,237 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// 서버별 Node.js 버전 결정 및 설치된 툴체인(nvm/fnm/volta/asdf) 탐색
+//
+// 요청 버전 우선순위: 서버별 지정값 > .nvmrc > .node-version > package.json volta.node > package.json engines.node
+// 요청이 없거나 'system'이면 앱의 PATH에 있는 node를 그대로 사용
+
+// lts/<codename> 별칭 → 메이저 버전
+const LTS_CODENAMES = {
+  argon: 4,
+  boron: 6,
+  carbon: 8,
+  dubnium: 10,
+  erbium: 12,
+  fermium: 14,
+  gallium: 16,
+  hydrogen: 18,
+  iron: 20,
+  jod: 22,
+  krypton: 24
+};
+
+function parseVersion(text) {
+  const match = String(text || '').trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  if (!match) return null;
+  return [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)];
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function bumpVersion(parts, index) {
+  const bumped = [...parts, 0, 0, 0].slice(0, 3);
+  bumped[index] += 1;
+  for (let i = index + 1; i < 3; i++) bumped[i] = 0;
+  return bumped;
+}
+
+// 단일 비교식 (예: ^20.1, ~18, >=18, <21, 20.x, 18.17.1)
+function matchesComparator(version, comparator) {
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*v?((?:\d+|[xX*])(?:\.(?:\d+|[xX*]))*)$/);
+  if (!match) return false;
+
+  const operator = match[1] || '';
+  const parts = [];
+  for (const part of match[2].split('.').slice(0, 3)) {
+    if (!/^\d+$/.test(part)) break;
+    parts.push(Number(part));
+  }
+  if (parts.length === 0) return !['<', '>'].includes(operator);
+
+  const lower = [...parts, 0, 0, 0].slice(0, 3);
+  const partial = parts.length < 3;
+  const cmp = compareVersions(version, lower);
+
+  switch (operator) {
+    case '>=':
+      return cmp >= 0;
+    case '>':
+      return partial ? compareVersions(version, bumpVersion(parts, parts.length - 1)) >= 0 : cmp > 0;
+    case '<':
+      return cmp < 0;
+    case '<=':
+      return partial ? compareVersions(version, bumpVersion(parts, parts.length - 1)) < 0 : cmp <= 0;
+    case '^': {
+      const firstNonZero = parts.findIndex(part => part !== 0);
+      const index = firstNonZero === -1 ? parts.length - 1 : firstNonZero;
+      return cmp >= 0 && compareVersions(version, bumpVersion(parts, index)) < 0;
+    }
+    case '~':
+      return cmp >= 0 && compareVersions(version, bumpVersion(parts, Math.min(1, parts.length - 1))) < 0;
+    default:
+      return cmp >= 0 && (partial ? compareVersions(version, bumpVersion(parts, parts.length - 1)) < 0 : cmp === 0);
+  }
+}
+
+// semver 범위의 일부(||, 공백 AND, 하이픈 범위, ^, ~, x-range)만 지원
+function satisfiesRange(version, range) {
+  return range.split('||').some(part => {
+    const trimmed = part.trim();
+    if (!trimmed) return true;
+    const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/);
+    const comparators = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : trimmed.replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/);
+    return comparators.every(comparator => matchesComparator(version, comparator));
+  });
+}
+
+// 요청 문자열 → 설치된 버전 중 선택할 조건 (null이면 시스템 node 사용)
+function buildVersionMatcher(spec) {
+  const normalized = String(spec || '').trim().toLowerCase();
+  if (!normalized || normalized === 'system') return null;
+
+  if (['node', 'latest', 'current', 'stable'].includes(normalized)) {
+    return () => true;
+  }
+  if (normalized === 'lts/*' || normalized === 'lts') {
+    return version => version[0] % 2 === 0;
+  }
+  if (normalized.startsWith('lts/')) {
+    const major = LTS_CODENAMES[normalized.slice(4)];
+    return major ? version => version[0] === major : () => false;
+  }
+  return version => satisfiesRange(version, normalized);
+}
+
+async function readTextFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// 프로젝트 경로에서 요청된 Node 버전과 그 출처를 읽음
+export async function readRequestedNodeVersion(projectPath, override = '') {
+  if (override && override.trim()) {
+    return { spec: override.trim(), source: 'server setting' };
+  }
+  if (!projectPath) return null;
+
+  for (const fileName of ['.nvmrc', '.node-version']) {
+    const content = await readTextFile(path.join(projectPath, fileName));
+    // 주석/빈 줄을 제외한 첫 줄만 사용
+    const spec = content?.split('\n').map(line => line.replace(/#.*$/, '').trim()).find(Boolean);
+    if (spec) return { spec, source: fileName };
+  }
+
+  const packageJson = await readTextFile(path.join(projectPath, 'package.json'));
+  if (packageJson) {
+    try {
+      const pkg = JSON.parse(packageJson);
+      if (typeof pkg.volta?.node === 'string' && pkg.volta.node.trim()) {
+        return { spec: pkg.volta.node.trim(), source: 'package.json volta' };
+      }
+      if (typeof pkg.engines?.node === 'string' && pkg.engines.node.trim()) {
+        return { spec: pkg.engines.node.trim(), source: 'package.json engines' };
+      }
+    } catch {
+      // 잘못된 package.json은 무시
+    }
+  }
+  return null;
+}
+
+// 버전 관리자별 설치 디렉토리 (환경변수로 위치를 바꾼 경우 우선)
+function getToolchainRoots(env = process.env) {
+  const home = os.homedir();
+  const fnmDefault = process.platform === 'darwin'
+    ? path.join(home, 'Library', 'Application Support', 'fnm')
+    : path.join(home, '.local', 'share', 'fnm');
+
+  return [
+    {
+      manager: 'nvm',
+      dir: path.join(env.NVM_DIR || path.join(home, '.nvm'), 'versions', 'node'),
+      binDir: version => path.join(version, 'bin')
+    },
+    {
+      manager: 'fnm',
+      dir: path.join(env.FNM_DIR || fnmDefault, 'node-versions'),
+      binDir: version => path.join(version, 'installation', 'bin')
+    },
+    {
+      manager: 'volta',
+      dir: path.join(env.VOLTA_HOME || path.join(home, '.volta'), 'tools', 'image', 'node'),
+      binDir: version => path.join(version, 'bin')
+    },
+    {
+      manager: 'asdf',
+      dir: path.join(env.ASDF_DATA_DIR || path.join(home, '.asdf'), 'installs', 'nodejs'),
+      binDir: version => path.join(version, 'bin')
+    }
+  ];
+}
+
+// 설치된 모든 Node 버전 목록 (bin/node가 실제로 존재하는 것만)
+export async function listInstalledNodeVersions(env = process.env) {
+  const installed = [];
+  for (const root of getToolchainRoots(env)) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(root.dir);
+    } catch {
+      continue;
+    }
+    for (const entry of entries) {
+      const version = parseVersion(entry);
+      if (!version) continue;
+      const binDir = root.binDir(path.join(root.dir, entry));
+      try {
+        await fs.access(path.join(binDir, 'node'));
+      } catch {
+        continue;
+      }
+      installed.push({ version, label: `v${version.join('.')}`, manager: root.manager, binDir });
+    }
+  }
+  return installed;
+}
+
+// 서버에 사용할 Node 툴체인 결정
+// 반환: { requested, source, version, manager, binDir, error } (binDir가 null이면 시스템 node 사용)
+export async function resolveNodeToolchain(projectPath, override = '', env = process.env) {
+  const request = await readRequestedNodeVersion(projectPath, override);
+  const result = {
+    requested: request?.spec || null,
+    source: request?.source || null,
+    version: null,
+    manager: null,
+    binDir: null,
+    error: null
+  };
+
+  const matcher = buildVersionMatcher(request?.spec);
+  if (!matcher) return result;
+
+  // 같은 버전이 여러 관리자에 있으면 목록 순서(nvm, fnm, volta, asdf)대로 우선
+  const candidates = (await listInstalledNodeVersions(env)).filter(item => matcher(item.version));
+  if (candidates.length === 0) {
+    result.error = `No installed Node.js matches "${request.spec}" (from ${request.source})`;
+    return result;
+  }
+
+  const best = candidates.reduce((picked, item) => (compareVersions(item.version, picked.version) > 0 ? item : picked));
+  result.version = best.label;
+  result.manager = best.manager;
+  result.binDir = best.binDir;
+  return result;
+}
@@ -19,9 +19,30 @@ const VALID_CHANNELS = {
     'start-server',
     'stop-server',
     'restart-server',
+    'resume-server',
+    'apply-crash-remedy',
     'open-browser',
     'open-terminal',
     'get-logs',
+    'get-merged-logs',
+    'set-secret-reveal',
+    'get-exit-history',
+    'export-diagnostics',
+    'list-log-runs',
+    'read-log-run',
+    'open-log-file',
+    'open-in-editor',
+    'get-editor-config',
+    'save-editor-config',
+    'get-global-alert-rules',
+    'save-global-alert-rules',
+    'get-effective-env',
+    'get-node-toolchain',
+    'get-launch-preview',
+    'force-kill-server',
+    'get-terminal-buffer',
+    'send-server-input',
+    'open-shell',
     'get-dynamic-config',
     'get-node-paths',
     'get-presets',
@@ -34,11 +55,17 @@ const VALID_CHANNELS = {
   ],
   send: [
     'hide-window',
-    'window-content-changed'
+    'window-content-changed',
+    'terminal-input',
+    'shell-input',
+    'close-shell'
   ],
   on: [
     'server-status-changed',
     'log-update',
+    'terminal-data',
+    'shell-data',
+    'shell-exit',
     'navigate',
     'ready',
     'show',
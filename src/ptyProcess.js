@@ -0,0 +1,98 @@
+import { EventEmitter } from 'events';
+import os from 'os';
+
+// node-pty 프로세스를 ChildProcess와 비슷한 형태로 감싸는 어댑터
+// - stdout 'data': 터미널 출력 (PTY에서는 stdout/stderr가 하나로 합쳐짐)
+// - 'close' (code, signal): 신호로 종료되면 ChildProcess처럼 code는 null, signal은 'SIGTERM' 같은 이름
+// - write/resize: 키 입력 전달, 터미널 크기 변경
+
+export const DEFAULT_PTY_COLS = 120;
+export const DEFAULT_PTY_ROWS = 30;
+
+let ptyModulePromise = null;
+
+// 네이티브 모듈이라 빌드/설치 문제가 있어도 앱 전체가 죽지 않도록 필요할 때 로드
+function loadPtyModule() {
+  if (!ptyModulePromise) {
+    ptyModulePromise = import('node-pty')
+      .then(mod => mod.default || mod)
+      .catch(error => {
+        ptyModulePromise = null;
+        throw new Error(`node-pty is not available: ${error.message}`);
+      });
+  }
+  return ptyModulePromise;
+}
+
+function signalName(signal) {
+  if (!signal) return null;
+  return Object.keys(os.constants.signals).find(name => os.constants.signals[name] === signal) || `signal ${signal}`;
+}
+
+class PtyProcess extends EventEmitter {
+  constructor(ptyProcess) {
+    super();
+    this.isPty = true;
+    this.pty = ptyProcess;
+    this.pid = ptyProcess.pid;
+    this.cols = ptyProcess.cols;
+    this.rows = ptyProcess.rows;
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter(); // PTY에는 별도 stderr가 없음 (호환용)
+    this.exited = false;
+
+    ptyProcess.onData(data => this.stdout.emit('data', data));
+    ptyProcess.onExit(({ exitCode, signal }) => {
+      this.exited = true;
+      const name = signalName(signal);
+      this.emit('close', name ? null : exitCode, name);
+    });
+  }
+
+  write(data) {
+    if (this.exited) return false;
+    this.pty.write(data);
+    return true;
+  }
+
+  resize(cols, rows) {
+    if (this.exited) return;
+    this.pty.resize(cols, rows);
+    this.cols = cols;
+    this.rows = rows;
+  }
+
+  kill(signal = 'SIGTERM') {
+    if (this.exited) return;
+    this.pty.kill(signal);
+  }
+}
+
+// PTY로 프로세스 실행. PTY 프로세스는 새 세션의 리더이므로 -pid로 프로세스 그룹 전체에 신호를 보낼 수 있음
+export async function spawnPty(file, args, { cwd, env, cols = DEFAULT_PTY_COLS, rows = DEFAULT_PTY_ROWS } = {}) {
+  const pty = await loadPtyModule();
+  const ptyProcess = pty.spawn(file, args, {
+    name: 'xterm-256color',
+    cols,
+    rows,
+    cwd,
+    env: { ...env, TERM: 'xterm-256color', COLORTERM: env?.COLORTERM || 'truecolor' }
+  });
+  return new PtyProcess(ptyProcess);
+}
+
+// 로그 뷰용: 터미널 제어 시퀀스(CSI/OSC 등)를 제거하고 캐리지 리턴으로 덮어쓴 줄은 마지막 내용만 남김
+// keepColors: 색상/스타일(SGR, ESC[...m)은 남김 (로그 뷰어가 직접 렌더링)
+export function stripTerminalSequences(text, { keepColors = false } = {}) {
+  return String(text || '')
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, sequence => (keepColors && /^\x1b\[[0-9;:]*m$/.test(sequence) ? sequence : ''))
+    .replace(/\x1b[@-Z\\-_]/g, '')
+    .split('\n')
+    .map(line => {
+      const parts = line.replace(/\r$/, '').split('\r');
+      return parts[parts.length - 1];
+    })
+    .join('\n')
+    .replace(keepColors ? /[\x00-\x08\x0b-\x1a\x1c-\x1f\x7f]/g : /[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
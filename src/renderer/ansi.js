@@ -0,0 +1,208 @@
+// ANSI escape sequence support for the log viewer.
+// SGR sequences (ESC [ ... m) become styled segments; cursor movement, erase, OSC and other
+// control sequences are dropped. Colors are a palette index (0-255) or a '#rrggbb' string.
+
+const OSC_SEQUENCE = /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+const CSI_SEQUENCE = /\x1b\[([0-?]*)([ -/]*)([@-~])/g;
+const SGR_SEQUENCE = /\x1b\[([0-9;:]*)m/g;
+const OTHER_ESCAPE = /\x1b(?:[()*+][0-9A-Za-z]|[@-Z\\-_=>78])/g;
+const CONTROL_CHARS = /[\x00-\x08\x0b-\x1a\x1c-\x1f\x7f]/g;
+const ANY_SGR_OR_CONTROL = /\x1b\[[0-9;:]*m|[\x00-\x08\x0b-\x1f\x7f]/g;
+
+const ESCAPE_MAP = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+export const escapeHtml = text => text.replace(/[&<>"']/g, m => ESCAPE_MAP[m]);
+
+// Keep only SGR sequences, and for lines redrawn with \r (progress bars) keep what was drawn last
+function normalizeTerminalText(text) {
+  return String(text || '')
+    .replace(OSC_SEQUENCE, '')
+    .replace(CSI_SEQUENCE, (sequence, params, intermediates, final) => (
+      final === 'm' && !intermediates && /^[0-9;:]*$/.test(params) ? sequence : ''
+    ))
+    .replace(OTHER_ESCAPE, '')
+    .split('\n')
+    .map(line => {
+      const parts = line.replace(/\r$/, '').split('\r');
+      if (parts.length === 1) return line;
+      // Carry the color state of the overwritten parts into the visible one
+      const carried = parts.slice(0, -1).join('').match(SGR_SEQUENCE) || [];
+      return carried.join('') + parts[parts.length - 1];
+    })
+    .join('\n')
+    .replace(CONTROL_CHARS, '');
+}
+
+export function stripAnsi(text) {
+  return normalizeTerminalText(text).replace(ANY_SGR_OR_CONTROL, '');
+}
+
+// 38;5;n / 38;2;r;g;b (also the colon forms 38:5:n and 38:2::r:g:b). Returns [color, consumed params]
+function readExtendedColor(params, index) {
+  const mode = params[index + 1];
+  if (mode === 5 && params[index + 2] !== undefined) {
+    return [Math.min(Math.max(params[index + 2], 0), 255), 3];
+  }
+  if (mode === 2 && params.length >= index + 5) {
+    const hex = params.slice(index + 2, index + 5)
+      .map(value => Math.min(Math.max(value, 0), 255).toString(16).padStart(2, '0'))
+      .join('');
+    return [`#${hex}`, 5];
+  }
+  return [undefined, params.length - index];
+}
+
+function parseSgrParams(paramText) {
+  if (!paramText) return [[0]];
+  return paramText.split(';').map(part => {
+    if (!part.includes(':')) return [Number(part) || 0];
+    // Colon sub-parameters: 38:2:<colorspace>:r:g:b drops the (optional, often empty) color space id
+    const subparams = part.split(':').map(value => Number(value) || 0);
+    return subparams[1] === 2 && subparams.length >= 6 ? [subparams[0], 2, ...subparams.slice(3, 6)] : subparams;
+  });
+}
+
+function applySgr(style, paramText) {
+  const next = { ...style };
+  const params = parseSgrParams(paramText).flat();
+
+  for (let i = 0; i < params.length; i++) {
+    const code = params[i];
+    if (code === 0) {
+      Object.keys(next).forEach(key => delete next[key]);
+    } else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 9) next.strike = true;
+    else if (code === 22) { delete next.bold; delete next.dim; }
+    else if (code === 23) delete next.italic;
+    else if (code === 24) delete next.underline;
+    else if (code === 27) delete next.inverse;
+    else if (code === 29) delete next.strike;
+    else if (code >= 30 && code <= 37) next.fg = code - 30;
+    else if (code === 39) delete next.fg;
+    else if (code >= 40 && code <= 47) next.bg = code - 40;
+    else if (code === 49) delete next.bg;
+    else if (code >= 90 && code <= 97) next.fg = code - 90 + 8;
+    else if (code >= 100 && code <= 107) next.bg = code - 100 + 8;
+    else if (code === 38 || code === 48) {
+      const [color, consumed] = readExtendedColor(params, i);
+      if (color !== undefined) next[code === 38 ? 'fg' : 'bg'] = color;
+      i += consumed - 1;
+    }
+  }
+  return next;
+}
+
+// Split text into [{ text, style }] segments
+export function parseAnsi(text) {
+  const normalized = normalizeTerminalText(text);
+  const segments = [];
+  const push = (start, end) => {
+    // A lone ESC left over from a truncated sequence would render as an invisible glyph
+    const piece = normalized.slice(start, end).replace(/\x1b/g, '');
+    if (piece) segments.push({ text: piece, style });
+  };
+  let style = {};
+  let lastIndex = 0;
+  for (const match of normalized.matchAll(SGR_SEQUENCE)) {
+    push(lastIndex, match.index);
+    style = applySgr(style, match[1]);
+    lastIndex = match.index + match[0].length;
+  }
+  push(lastIndex, normalized.length);
+  return segments;
+}
+
+// xterm 256-color palette entries 16-255 (6x6x6 cube and grayscale ramp)
+function paletteToHex(index) {
+  if (index >= 232) {
+    const level = (8 + (index - 232) * 10).toString(16).padStart(2, '0');
+    return `#${level}${level}${level}`;
+  }
+  const cube = index - 16;
+  return '#' + [Math.floor(cube / 36), Math.floor(cube / 6) % 6, cube % 6]
+    .map(value => (value === 0 ? 0 : 55 + value * 40).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function colorAttributes(color, layer, classes, css) {
+  if (color === undefined) return;
+  if (typeof color === 'number' && color < 16) {
+    classes.push(`ansi-${layer}-${color}`);
+  } else {
+    css.push(`${layer === 'fg' ? 'color' : 'background-color'}: ${typeof color === 'number' ? paletteToHex(color) : color}`);
+  }
+}
+
+function openSpan(style) {
+  const classes = [];
+  const css = [];
+  let { fg, bg } = style;
+  if (style.inverse) {
+    [fg, bg] = [bg, fg];
+    if (fg === undefined && bg === undefined) classes.push('ansi-inverse');
+    else {
+      if (fg === undefined) classes.push('ansi-fg-default-inverse');
+      if (bg === undefined) classes.push('ansi-bg-default-inverse');
+    }
+  }
+  colorAttributes(fg, 'fg', classes, css);
+  colorAttributes(bg, 'bg', classes, css);
+  ['bold', 'dim', 'italic', 'underline', 'strike'].forEach(flag => {
+    if (style[flag]) classes.push(`ansi-${flag}`);
+  });
+  if (classes.length === 0 && css.length === 0) return null;
+  return `<span${classes.length ? ` class="${classes.join(' ')}"` : ''}${css.length ? ` style="${css.join('; ')}"` : ''}>`;
+}
+
+function openFileLink({ file, line, column }) {
+  const location = `${file}:${line}${column ? `:${column}` : ''}`;
+  return `<span class="log-file-link" data-file="${escapeHtml(file)}" data-line="${line}"${column ? ` data-column="${column}"` : ''} title="Open ${escapeHtml(location)} in editor">`;
+}
+
+// Render segments to HTML; ranges are sorted [start, end) offsets into the plain text to wrap in <mark class="log-match">,
+// links are sorted { start, end, file, line, column } source locations to wrap in a clickable .log-file-link
+export function renderAnsiSegments(segments, ranges = [], links = []) {
+  let html = '';
+  let offset = 0;
+  let rangeIndex = 0;
+  let linkIndex = 0;
+  let openRange = -1; // index of the range whose <mark> is currently open
+
+  for (const segment of segments) {
+    const open = openSpan(segment.style);
+    let position = 0;
+    while (position < segment.text.length) {
+      const absolute = offset + position;
+      while (rangeIndex < ranges.length && ranges[rangeIndex][1] <= absolute) rangeIndex++;
+      while (linkIndex < links.length && links[linkIndex].end <= absolute) linkIndex++;
+      const range = ranges[rangeIndex];
+      const inside = Boolean(range) && range[0] <= absolute;
+      const link = links[linkIndex];
+      const inLink = Boolean(link) && link.start <= absolute;
+      const boundary = Math.min(
+        inside ? range[1] : (range ? range[0] : Infinity),
+        inLink ? link.end : (link ? link.start : Infinity)
+      );
+      const end = Math.min(segment.text.length, boundary - offset);
+
+      const current = inside ? rangeIndex : -1;
+      if (current !== openRange) {
+        if (openRange !== -1) html += '</mark>';
+        if (current !== -1) html += '<mark class="log-match">';
+        openRange = current;
+      }
+
+      // A link split by color or match boundaries becomes several adjacent link spans with the same location
+      const piece = escapeHtml(segment.text.slice(position, end));
+      const styled = open ? `${open}${piece}</span>` : piece;
+      html += inLink ? `${openFileLink(link)}${styled}</span>` : styled;
+      position = end;
+    }
+    offset += segment.text.length;
+  }
+  if (openRange !== -1) html += '</mark>';
+  return html;
+}
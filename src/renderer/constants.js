@@ -1,2 +1,22 @@
 export const EDIT_BUTTON_SVG = '<svg viewBox="0 0 24 24"><path d="M21,7L9,19L3.5,13.5L4.91,12.09L9,16.17L19.59,5.59L21,7Z"/></svg>';
 export const NOW_SAVING_SPAN = '<span style="width: 14px; height: 14px; border: 2px solid #34C759; border-top: 2px solid transparent; border-radius: 50%; animation: spin 1s linear infinite; display: inline-block;"></span>';
+export const LIFECYCLE_HOOKS = ['preStart', 'postStart', 'preStop', 'postStop'];
+export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'hook', 'input'];
+// Minimum levels an alert rule can require (hook/input lines only match rules without a level)
+export const ALERT_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+export const DEFAULT_ALERT_COOLDOWN_SECONDS = 60;
+// Levels an output line can be classified as (per-server severity rules and the stderr fallback)
+export const SEVERITY_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+// Structured-log keys shown elsewhere in the row, so left out of the inline field preview
+export const STRUCTURED_LOG_BASE_FIELDS = ['level', 'time', 'timestamp', 'msg', 'message', 'pid', 'hostname', 'v', 'err', 'error', 'stack', 'severity', 'lvl', 'name'];
+export const STOP_SIGNALS = ['SIGTERM', 'SIGINT', 'SIGQUIT', 'SIGHUP', 'SIGUSR2', 'SIGKILL'];
+// Editor commands for clickable file:line:column log links; terminal editors run in a new terminal window
+export const EDITOR_PRESETS = [
+  { id: 'vscode', label: 'VS Code', command: 'code -g {file}:{line}:{column}', terminal: false },
+  { id: 'cursor', label: 'Cursor', command: 'cursor -g {file}:{line}:{column}', terminal: false },
+  { id: 'webstorm', label: 'WebStorm', command: 'webstorm --line {line} --column {column} {file}', terminal: false },
+  { id: 'sublime', label: 'Sublime Text', command: 'subl {file}:{line}:{column}', terminal: false },
+  { id: 'zed', label: 'Zed', command: 'zed {file}:{line}:{column}', terminal: false },
+  { id: 'vim', label: 'Vim (terminal)', command: 'vim +{line} {file}', terminal: true },
+  { id: 'nvim', label: 'Neovim (terminal)', command: 'nvim +{line} {file}', terminal: true }
+];
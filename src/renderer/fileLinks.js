@@ -0,0 +1,44 @@
+// Detects source locations in log text: Node stack frames (/abs/path/x.js:42:7), file:// and
+// webpack:// URLs, relative paths from tsc/webpack (src/x.ts:42:7, src/x.ts(42,7)) and ~/ paths.
+
+const FILE_REFERENCE = new RegExp(
+  '(?<![\\w/.:@~-])' +
+  '((?:file://|webpack(?:-internal)?://[\\w@.-]*/)?' + // optional URL prefix
+  '(?:[A-Za-z]:[\\\\/]|~?/|\\.{1,2}[\\\\/])?' + // absolute, home or ./ ../
+  '(?:[\\w@.+~-]+[\\\\/])*' + // directories
+  '[\\w@+~-][\\w@.+~-]*\\.[A-Za-z]\\w*)' + // file name with an extension
+  '(?:\\?[\\w=&.-]*)?' + // webpack module query (x.js?:3:9)
+  '(?::(\\d+)(?::(\\d+))?|\\((\\d+),(\\d+)\\))', // :line[:column] or (line,column)
+  'g'
+);
+
+// A bare "name.ext:123" without any directory is only a file reference for source-like extensions;
+// this keeps host:port pairs such as db.example.com:5432 from becoming links
+const SOURCE_EXTENSIONS = new Set([
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'mts', 'cts', 'tsx', 'vue', 'svelte', 'astro', 'json', 'css', 'scss', 'sass', 'less',
+  'html', 'graphql', 'gql', 'prisma', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'php', 'cs', 'c', 'cc', 'cpp', 'h', 'hpp', 'swift'
+]);
+
+// Returns sorted, non-overlapping [{ start, end, file, line, column }] offsets into text
+export function findFileReferences(text) {
+  const references = [];
+  for (const match of String(text || '').matchAll(FILE_REFERENCE)) {
+    const file = match[1];
+    const line = Number(match[2] || match[4]);
+    const column = Number(match[3] || match[5]) || null;
+    if (!line) continue;
+    const hasDirectory = /[\\/]/.test(file);
+    if (!hasDirectory && !SOURCE_EXTENSIONS.has(file.slice(file.lastIndexOf('.') + 1).toLowerCase())) continue;
+    references.push({ start: match.index, end: match.index + match[0].length, file, line, column });
+  }
+  return references;
+}
+
+// Location stored on a rendered .log-file-link element
+export function readFileLink(element) {
+  return {
+    file: element.dataset.file,
+    line: Number(element.dataset.line),
+    column: element.dataset.column ? Number(element.dataset.column) : null
+  };
+}
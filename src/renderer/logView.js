@@ -0,0 +1,354 @@
+import { LOG_LEVELS, STRUCTURED_LOG_BASE_FIELDS } from './constants.js';
+import { parseAnsi, stripAnsi, renderAnsiSegments, escapeHtml } from './ansi.js';
+import { findFileReferences, readFileLink } from './fileLinks.js';
+
+// Search, filter and render controls shared by every log view; looked up by data-log-control
+const TOOLBAR_HTML = `
+  <input type="search" data-log-control="search" placeholder="Search logs (Enter / Shift+Enter)" spellcheck="false">
+  <button class="toggle-button" data-log-control="regex" title="Regular expression">.*</button>
+  <button class="toggle-button" data-log-control="filter" title="Show only matching lines">Filter</button>
+  <span class="log-match-count" data-log-control="count"></span>
+  <button class="toggle-button" data-log-control="prev" title="Previous match">↑</button>
+  <button class="toggle-button" data-log-control="next" title="Next match">↓</button>
+  <input type="text" class="log-field-filter" data-log-control="fields" placeholder="field=value" spellcheck="false" title="Filter JSON logs by field: reqId=42, req.method!=GET, msg~=timeout, or just a field name">
+  <select data-log-control="level" title="Filter by level">
+    <option value="">All levels</option>
+  </select>
+  <button class="toggle-button" data-log-control="autoscroll" title="Stop following new output">Pause autoscroll</button>
+`;
+
+// A log container with search (plain/regex, highlight or filter), level and JSON field filters,
+// match navigation and pausable autoscroll.
+//   container:   element the rows are rendered into
+//   toolbar:     element the shared controls are inserted into (existing children are kept after them)
+//   limit:       live entries kept when appending
+//   stripColors: (log) => whether to drop ANSI colors for this entry
+//   serverTag:   (log) => { name, color } to prefix rows with the originating server (merged view)
+//   openFile:    (location, log) => called when a file:line:column reference in a row is clicked
+export class LogView {
+  constructor({ container, toolbar, limit = 500, stripColors = () => false, serverTag = null, openFile = null }) {
+    this.container = container;
+    this.toolbar = toolbar;
+    this.limit = limit;
+    this.stripColors = stripColors;
+    this.serverTag = serverTag;
+    this.openFile = openFile;
+    this.entries = [];
+    this.rows = new WeakMap(); // entry -> rendered row
+    this.notice = null;
+    this.search = { query: '', regex: false, filterOnly: false, level: '', fields: [] };
+    this.matchIndex = -1;
+    this.autoscrollPaused = false;
+
+    toolbar.insertAdjacentHTML('afterbegin', TOOLBAR_HTML);
+    this.bindToolbar();
+  }
+
+  control(name) {
+    return this.toolbar.querySelector(`[data-log-control="${name}"]`);
+  }
+
+  bindToolbar() {
+    const search = this.control('search');
+    const levelFilter = this.control('level');
+    LOG_LEVELS.forEach(level => levelFilter.add(new Option(level, level)));
+
+    let debounce = null;
+    search.addEventListener('input', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        this.search.query = search.value;
+        this.render();
+      }, 150);
+    });
+    search.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        clearTimeout(debounce);
+        if (this.search.query !== search.value) {
+          this.search.query = search.value;
+          this.render();
+        }
+        this.jumpToMatch(e.shiftKey ? -1 : 1);
+      } else if (e.key === 'Escape' && search.value) {
+        // First Escape clears the search instead of closing the window
+        e.stopPropagation();
+        search.value = '';
+        this.search.query = '';
+        this.render();
+      }
+    });
+
+    const regexButton = this.control('regex');
+    regexButton.addEventListener('click', () => {
+      this.search.regex = !this.search.regex;
+      regexButton.classList.toggle('active', this.search.regex);
+      this.render();
+    });
+    const filterButton = this.control('filter');
+    filterButton.addEventListener('click', () => {
+      this.search.filterOnly = !this.search.filterOnly;
+      filterButton.classList.toggle('active', this.search.filterOnly);
+      this.render();
+    });
+    const fieldFilter = this.control('fields');
+    let fieldDebounce = null;
+    fieldFilter.addEventListener('input', () => {
+      clearTimeout(fieldDebounce);
+      fieldDebounce = setTimeout(() => {
+        this.search.fields = this.parseFieldFilter(fieldFilter.value);
+        this.render();
+      }, 150);
+    });
+    levelFilter.addEventListener('change', () => {
+      this.search.level = levelFilter.value;
+      this.render();
+    });
+
+    this.control('prev').addEventListener('click', () => this.jumpToMatch(-1));
+    this.control('next').addEventListener('click', () => this.jumpToMatch(1));
+
+    const autoscrollButton = this.control('autoscroll');
+    autoscrollButton.addEventListener('click', () => {
+      this.autoscrollPaused = !this.autoscrollPaused;
+      autoscrollButton.classList.toggle('active', this.autoscrollPaused);
+      autoscrollButton.textContent = this.autoscrollPaused ? 'Resume autoscroll' : 'Pause autoscroll';
+      if (!this.autoscrollPaused) this.container.scrollTop = this.container.scrollHeight;
+    });
+  }
+
+  // Replace everything shown (live buffer or a persisted run); notice is shown above the rows
+  setEntries(entries, notice = null) {
+    this.entries = entries;
+    this.notice = notice;
+    this.render();
+  }
+
+  // Returns null when there is no query; { error } for an invalid regex; otherwise a global, case-insensitive RegExp
+  getSearchPattern() {
+    const { query, regex } = this.search;
+    if (!query) return null;
+    try {
+      const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(source, 'gi');
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  matchesSearch(log, pattern) {
+    pattern.lastIndex = 0;
+    return pattern.test(stripAnsi(log.message));
+  }
+
+  // "reqId=42 req.method!=GET msg~=timeout userId" -> [{ path, op, value }]
+  parseFieldFilter(text) {
+    return text.trim().split(/\s+/).filter(Boolean).map(term => {
+      const match = term.match(/^([^=!~]+?)(!=|~=|=)(.*)$/);
+      if (!match) return { path: term, op: 'exists' };
+      return { path: match[1], op: match[2], value: match[3] };
+    });
+  }
+
+  getField(log, fieldPath) {
+    const value = fieldPath.split('.').reduce((current, key) => (
+      current !== null && typeof current === 'object' ? current[key] : undefined
+    ), log.fields);
+    // Entry-level properties (stream, level, serverName) are filterable for plain lines too
+    return value === undefined && !fieldPath.includes('.') ? log[fieldPath] : value;
+  }
+
+  matchesFieldFilter(log) {
+    return this.search.fields.every(({ path, op, value }) => {
+      const actual = this.getField(log, path);
+      if (op === 'exists') return actual !== undefined && actual !== null;
+      const text = actual === undefined || actual === null
+        ? ''
+        : (typeof actual === 'object' ? JSON.stringify(actual) : String(actual));
+      if (op === '~=') return text.toLowerCase().includes(value.toLowerCase());
+      return op === '=' ? text === value : text !== value;
+    });
+  }
+
+  isVisible(log, pattern) {
+    if (this.search.level && log.level !== this.search.level) return false;
+    if (this.search.fields.length > 0 && !this.matchesFieldFilter(log)) return false;
+    // An invalid regex filters nothing; the search box is marked instead
+    if (this.search.filterOnly && pattern && !pattern.error) return this.matchesSearch(log, pattern);
+    return true;
+  }
+
+  // Renders ANSI colors (or strips them), wraps search matches in <mark> and makes source locations clickable
+  highlightMessage(message, pattern, stripColors = false) {
+    const segments = stripColors ? [{ text: stripAnsi(message), style: {} }] : parseAnsi(message);
+    const plain = segments.map(segment => segment.text).join('');
+    const ranges = [];
+    if (pattern && !pattern.error) {
+      pattern.lastIndex = 0; // matchesSearch() may have left it past the first match
+      for (const match of plain.matchAll(pattern)) {
+        if (!match[0]) continue; // zero-length matches (e.g. /^/) have nothing to highlight
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+    return renderAnsiSegments(segments, ranges, findFileReferences(plain));
+  }
+
+  // Plain text (expanded JSON, stacks) with clickable source locations
+  linkifyText(text) {
+    return renderAnsiSegments([{ text, style: {} }], [], findFileReferences(text));
+  }
+
+  createElement(log, pattern) {
+    const entry = document.createElement('div');
+    entry.className = 'log-entry';
+    const timeStr = new Date(log.timestamp).toLocaleTimeString('en-US', { hour12: false });
+    const tag = this.serverTag?.(log);
+    entry.innerHTML = `
+      <span class="log-time">${timeStr}</span>
+      ${tag ? `<span class="log-server-tag" style="color: ${tag.color}; border-color: ${tag.color}">${escapeHtml(tag.name)}</span>` : ''}
+      <span class="log-level ${log.level}"${log.stream ? ` title="from ${log.stream}"` : ''}>[${log.level}]</span>
+      <span class="log-message">${this.highlightMessage(log.message, pattern, this.stripColors(log))}</span>
+    `;
+    entry.addEventListener('click', (e) => {
+      const link = e.target.closest('.log-file-link');
+      if (link && this.openFile) this.openFile(readFileLink(link), log);
+    });
+    if (log.fields) this.makeStructured(entry, log);
+    this.rows.set(log, entry);
+    return entry;
+  }
+
+  // JSON log rows: compact preview of the extra fields, click to expand the full object and error stack
+  makeStructured(entry, log) {
+    entry.classList.add('structured');
+    const preview = Object.entries(log.fields)
+      .filter(([key, value]) => !STRUCTURED_LOG_BASE_FIELDS.includes(key) && (value === null || typeof value !== 'object'))
+      .slice(0, 4)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+    const message = entry.querySelector('.log-message');
+    if (preview) {
+      message.insertAdjacentHTML('beforeend', ` <span class="log-fields-preview">${escapeHtml(preview)}</span>`);
+    }
+    if (log.stack) {
+      message.insertAdjacentHTML('beforeend', ' <span class="log-fields-preview">(stack)</span>');
+    }
+
+    entry.addEventListener('click', (e) => {
+      // Keep text selection and clicks inside the expanded object from collapsing it
+      if (window.getSelection()?.toString() || e.target.closest('.log-details, .log-file-link')) return;
+      const details = entry.querySelector('.log-details');
+      if (details) {
+        details.remove();
+        entry.classList.remove('expanded');
+        return;
+      }
+      const pre = document.createElement('pre');
+      pre.className = 'log-details';
+      pre.innerHTML = this.linkifyText(JSON.stringify(log.fields, null, 2) + (log.stack ? `\n\n${log.stack}` : ''));
+      entry.appendChild(pre);
+      entry.classList.add('expanded');
+    });
+  }
+
+  // Re-renders the whole container from this.entries with the current search and filters
+  render() {
+    const container = this.container;
+    const pattern = this.getSearchPattern();
+    const searchInput = this.control('search');
+    searchInput.classList.toggle('invalid', Boolean(pattern?.error));
+    searchInput.title = pattern?.error || '';
+
+    container.innerHTML = '';
+    if (this.notice) {
+      const notice = document.createElement('div');
+      notice.className = 'log-run-notice';
+      notice.textContent = this.notice;
+      container.appendChild(notice);
+    }
+
+    const visible = this.entries.filter(log => this.isVisible(log, pattern));
+    if (visible.length === 0) {
+      const filtered = this.entries.length > 0;
+      container.insertAdjacentHTML('beforeend', `<div class="log-empty-state">${filtered ? 'No matching logs' : 'No logs available'}</div>`);
+    } else {
+      const fragment = document.createDocumentFragment();
+      visible.forEach(log => fragment.appendChild(this.createElement(log, pattern)));
+      container.appendChild(fragment);
+    }
+
+    this.matchIndex = -1;
+    this.updateMatchCount();
+    if (!this.autoscrollPaused) container.scrollTop = container.scrollHeight;
+  }
+
+  // Live log line from the main process
+  append(log) {
+    const container = this.container;
+    this.entries.push(log);
+    if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit);
+
+    const pattern = this.getSearchPattern();
+    if (!this.isVisible(log, pattern)) return;
+
+    const wasScrolledToBottom = container.scrollHeight - container.clientHeight <= container.scrollTop + 1;
+    container.querySelector('.log-empty-state')?.remove();
+    container.appendChild(this.createElement(log, pattern));
+    const rows = container.querySelectorAll('.log-entry');
+    if (rows.length > this.limit) rows[0].remove();
+
+    this.updateMatchCount();
+    if (wasScrolledToBottom && !this.autoscrollPaused) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }
+
+  // Scrolls to the newest entry matching predicate and flashes it, clearing the search and filters if they hide it
+  reveal(predicate) {
+    const log = [...this.entries].reverse().find(predicate);
+    if (!log) return false;
+    if (!this.rows.get(log)?.isConnected) this.clearFilters();
+    const row = this.rows.get(log);
+    if (!row?.isConnected) return false;
+
+    row.scrollIntoView({ block: 'center' });
+    row.classList.remove('flash');
+    void row.offsetWidth; // restart the animation when revealing the same row twice
+    row.classList.add('flash');
+    return true;
+  }
+
+  clearFilters() {
+    this.search = { ...this.search, query: '', level: '', fields: [] };
+    this.control('search').value = '';
+    this.control('level').value = '';
+    this.control('fields').value = '';
+    this.render();
+  }
+
+  updateMatchCount() {
+    const label = this.control('count');
+    if (!this.search.query) {
+      label.textContent = '';
+      return;
+    }
+    const total = this.container.querySelectorAll('.log-match').length;
+    label.textContent = total === 0 ? '0/0' : `${this.matchIndex >= 0 ? this.matchIndex + 1 : '-'}/${total}`;
+  }
+
+  jumpToMatch(direction) {
+    const matches = this.container.querySelectorAll('.log-match');
+    if (matches.length === 0) return;
+    matches[this.matchIndex]?.classList.remove('current');
+
+    if (this.matchIndex < 0 || this.matchIndex >= matches.length) {
+      this.matchIndex = direction > 0 ? 0 : matches.length - 1;
+    } else {
+      this.matchIndex = (this.matchIndex + direction + matches.length) % matches.length;
+    }
+    const current = matches[this.matchIndex];
+    current.classList.add('current');
+    current.scrollIntoView({ block: 'center' });
+    this.updateMatchCount();
+  }
+}
@@ -1,4 +1,11 @@
-import { NOW_SAVING_SPAN } from './constants.js';
+import { NOW_SAVING_SPAN, LIFECYCLE_HOOKS, STOP_SIGNALS, EDITOR_PRESETS, ALERT_LEVELS, DEFAULT_ALERT_COOLDOWN_SECONDS, SEVERITY_LEVELS } from './constants.js';
+import { LogView } from './logView.js';
+import { readFileLink } from './fileLinks.js';
+import { escapeHtml } from './ansi.js';
+
+const LIVE_LOG_LIMIT = 500; // matches the in-memory buffer kept per server in the main process
+const MERGED_LOG_LIMIT = 2000; // combined view across servers
+const SERVER_TAG_COLORS = ['#4FC1FF', '#C586C0', '#DCDCAA', '#4EC9B0', '#CE9178', '#B5CEA8', '#D16969', '#9CDCFE'];
 
 // Use safe IPC API exposed by preload script
 const ipcRenderer = window.electronAPI;
@@ -9,6 +16,16 @@ class App {
     this.currentDetailServer = null;
     this.statusLockUntil = 0;
     this.justOpenedModal = null;
+    this.terminal = null; // xterm.js instance for the PTY-mode server shown in the detail modal
+    this.shellTerminal = null; // xterm.js instance for the embedded shell tab
+    this.viewingRunId = null; // persisted run shown in the log container instead of live logs
+    this.detailLogView = null; // LogView behind the detail modal's log container (live buffer or a persisted run)
+    this.mergedLogView = null; // LogView of the combined all-servers log modal
+    this.mergedServerIds = null; // servers shown in the combined view (null = all)
+    this.secretReveal = null; // { serverId, timer } while masked secrets are shown in the detail log
+    this.logView = 'terminal';
+    this.inputHistory = new Map(); // serverId -> lines sent to stdin (oldest first)
+    this.inputHistoryIndex = null;
   }
 
   normalizeStatus(status) {
@@ -17,7 +34,7 @@ class App {
 
   isRunningLike(status) {
     const normalized = this.normalizeStatus(status);
-    return normalized === 'running' || normalized === 'starting' || normalized === 'restarting';
+    return normalized === 'running' || normalized === 'starting' || normalized === 'restarting' || normalized === 'unhealthy';
   }
 
   setServerLocalStatus(serverId, status) {
@@ -134,6 +151,12 @@ class App {
 
           const results = await ipcRenderer.invoke('start-all');
           await this.loadServers();
+          // A result without an id means Start All itself was rejected (e.g. a dependency cycle).
+          const fatal = Array.isArray(results) ? results.find(r => r && !r.id && r.error) : null;
+          if (fatal) {
+            setTempStatus(`Start all failed: ${fatal.error}`, 8000);
+            return;
+          }
           const started = Array.isArray(results) ? results.filter(r => r && r.success && !r.skipped).length : 0;
           const skipped = Array.isArray(results) ? results.filter(r => r && r.skipped).length : 0;
           const failed = Array.isArray(results) ? results.filter(r => r && r.success === false && !r.skipped).length : 0;
@@ -152,6 +175,8 @@ class App {
         } catch (error) {
           setTempStatus('Stop all failed.', 6000);
         }
+      } else if (buttonId === 'all-logs-btn') {
+        await this.showMergedLogs();
       } else if (buttonId === 'clear-all-btn') {
         e.preventDefault();
         e.stopPropagation();
@@ -244,6 +269,20 @@ class App {
         this.hideAddServerModal();
       }
     });
+
+    // Combined logs modal
+    document.getElementById('close-merged-logs')?.addEventListener('click', () => this.hideMergedLogs());
+    document.getElementById('merged-logs-modal')?.addEventListener('click', (e) => {
+      if (e.target !== e.currentTarget) return;
+      {
+        if (this.justOpenedModal?.id === 'merged-logs-modal' && Date.now() - this.justOpenedModal.ts < 400) return;
+        this.hideMergedLogs();
+      }
+    });
+    document.getElementById('merged-log-servers')?.addEventListener('click', (e) => {
+      const chip = e.target.closest('button[data-server-id]');
+      if (chip) this.toggleMergedServer(chip.dataset.serverId);
+    });
     document.getElementById('browse-server-path-btn')?.addEventListener('click', async () => {
       const path = await ipcRenderer.invoke('select-folder');
       if (path) {
@@ -261,6 +300,8 @@ class App {
       }
     });
     document.getElementById('save-settings-btn')?.addEventListener('click', async () => {
+      const alertRules = this.collectAlertRules('global-alert-rules');
+      if (!alertRules) return;
       const rootPath = document.getElementById('root-path').value;
       const runCommand = document.getElementById('run-command').value;
       const nodePath = document.getElementById('node-path').value;
@@ -273,11 +314,127 @@ class App {
       if (nodePath || npmPath) {
         await ipcRenderer.invoke('save-node-paths', { node: nodePath, npm: npmPath });
       }
+
+      await ipcRenderer.invoke('save-global-alert-rules', alertRules);
+      await ipcRenderer.invoke('save-editor-config', {
+        command: document.getElementById('editor-command').value,
+        terminal: document.getElementById('editor-terminal').checked
+      });
       
       this.hideSettings();
       await this.loadServers(); // Refresh server list
     });
     document.getElementById('cancel-settings-btn')?.addEventListener('click', () => this.hideSettings());
+    this.setupEditorSettings();
+    document.getElementById('add-global-alert-rule-btn')?.addEventListener('click', () => {
+      this.addAlertRuleRow('global-alert-rules')?.querySelector('.alert-pattern').focus();
+    });
+
+    // Restart policy
+    document.getElementById('save-restart-policy-btn')?.addEventListener('click', async () => {
+      await this.saveRestartPolicy();
+    });
+
+    // Readiness probe
+    document.getElementById('readiness-probe-type')?.addEventListener('change', () => this.updateReadinessProbeFields());
+    document.getElementById('save-readiness-probe-btn')?.addEventListener('click', async () => {
+      await this.saveReadinessProbe();
+    });
+
+    // Liveness check
+    document.getElementById('liveness-probe-type')?.addEventListener('change', () => this.updateLivenessProbeFields());
+    document.getElementById('save-liveness-probe-btn')?.addEventListener('click', async () => {
+      await this.saveLivenessProbe();
+    });
+
+    // Dependencies
+    document.getElementById('save-depends-on-btn')?.addEventListener('click', async () => {
+      await this.saveDependsOn();
+    });
+
+    // Launch mode
+    document.getElementById('launch-mode')?.addEventListener('change', () => this.updateLaunchPreview());
+    document.getElementById('launch-shell')?.addEventListener('input', () => this.updateLaunchPreview());
+    document.getElementById('save-launch-btn')?.addEventListener('click', async () => {
+      await this.saveLaunch();
+    });
+
+    // stdin input line
+    document.getElementById('stdin-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.sendStdinLine();
+    });
+    document.getElementById('stdin-input')?.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.navigateInputHistory(e.key === 'ArrowUp' ? -1 : 1);
+      }
+    });
+
+    // PTY terminal
+    document.getElementById('save-pty-btn')?.addEventListener('click', async () => {
+      await this.saveTerminalSettings();
+    });
+    document.querySelectorAll('#log-view-toggle .toggle-button').forEach(button => {
+      button.addEventListener('click', () => this.setLogView(button.dataset.view));
+    });
+
+    // Log search / filters
+    this.setupLogToolbar();
+
+    // Persisted log files
+    document.getElementById('save-log-files-btn')?.addEventListener('click', async () => {
+      await this.saveLogFileSettings();
+    });
+
+    document.getElementById('log-reveal-btn')?.addEventListener('click', async () => {
+      await this.setSecretReveal(!this.secretReveal);
+    });
+
+    // Output severity rules
+    document.getElementById('severity-stderr-default').innerHTML = SEVERITY_LEVELS
+      .map(level => `<option value="${level}">${level}</option>`).join('');
+    document.getElementById('add-severity-rule-btn')?.addEventListener('click', () => {
+      this.addSeverityRuleRow()?.querySelector('.alert-pattern').focus();
+    });
+    document.getElementById('save-severity-btn')?.addEventListener('click', async () => {
+      await this.saveSeverity();
+    });
+
+    // Secret redaction
+    document.getElementById('save-redaction-btn')?.addEventListener('click', async () => {
+      await this.saveRedaction();
+    });
+
+    // Log alert rules
+    document.getElementById('add-alert-rule-btn')?.addEventListener('click', () => {
+      this.addAlertRuleRow('detail-alert-rules')?.querySelector('.alert-pattern').focus();
+    });
+    document.getElementById('save-alert-rules-btn')?.addEventListener('click', async () => {
+      await this.saveAlertRules();
+    });
+    const logRunSelect = document.getElementById('log-run-select');
+    logRunSelect?.addEventListener('focus', () => {
+      if (this.currentDetailServer) this.loadLogRuns(this.currentDetailServer.id);
+    });
+    logRunSelect?.addEventListener('change', () => this.selectLogRun(logRunSelect.value || null));
+    document.getElementById('open-log-file-btn')?.addEventListener('click', () => this.openLogFile());
+
+    // Stop behavior
+    document.getElementById('save-stop-policy-btn')?.addEventListener('click', async () => {
+      await this.saveStopPolicy();
+    });
+
+    // Environment
+    document.getElementById('add-env-var-btn')?.addEventListener('click', () => {
+      this.addEnvRow('', '')?.querySelector('.env-key').focus();
+    });
+    document.getElementById('save-env-btn')?.addEventListener('click', async () => {
+      await this.saveEnvironment();
+    });
+    document.getElementById('show-effective-env-btn')?.addEventListener('click', async () => {
+      await this.toggleEffectiveEnv();
+    });
 
     // Preset controls
     document.getElementById('preset-select')?.addEventListener('change', (e) => this.handlePresetSelect(e.target.value));
@@ -350,9 +507,12 @@ class App {
 
     // Global keydown
     document.addEventListener('keydown', (e) => {
+      // Escape inside the PTY terminal belongs to the running process
+      if (e.target instanceof Element && e.target.closest('#terminal-container, #shell-container')) return;
       if (e.key === 'Escape') {
         this.hideServerDetail();
         this.hideSettings();
+        this.hideMergedLogs();
         ipcRenderer.send('hide-window');
       }
     });
@@ -362,24 +522,54 @@ class App {
     ipcRenderer.on('server-status-changed', (event, server) => {
       const index = this.servers.findIndex(s => s.id === server.id);
       if (index !== -1) {
+        const previousStatus = this.servers[index].status;
         this.servers[index] = { ...this.servers[index], ...server };
         this.renderServerList();
         this.updateStatusBar();
         if (this.currentDetailServer && this.currentDetailServer.id === server.id) {
           this.updateServerDetail(this.servers[index]);
+          // A new exit record exists whenever the process goes down unexpectedly.
+          if (previousStatus !== server.status) {
+            this.loadExitHistory(server.id);
+          }
         }
       }
     });
 
     ipcRenderer.on('log-update', (event, { serverId, log }) => {
-      if (this.currentDetailServer && this.currentDetailServer.id === serverId) {
-        this.appendLog(log);
+      if (this.currentDetailServer && this.currentDetailServer.id === serverId && !this.viewingRunId) {
+        this.detailLogView.append(log);
+      }
+      if (this.isMergedLogsOpen() && this.isInMergedLogs(serverId)) {
+        const server = this.servers.find(s => s.id === serverId);
+        this.mergedLogView.append({ ...log, serverId, serverName: server?.name || serverId });
+      }
+    });
+
+    ipcRenderer.on('terminal-data', (event, { serverId, data }) => {
+      if (this.terminal && this.terminal.serverId === serverId) {
+        this.terminal.write(data);
+      }
+    });
+
+    ipcRenderer.on('shell-data', (event, { serverId, data }) => {
+      if (this.shellTerminal && this.shellTerminal.serverId === serverId) {
+        this.shellTerminal.write(data);
       }
     });
 
-    ipcRenderer.on('navigate', (event, page) => {
+    ipcRenderer.on('shell-exit', (event, { serverId, code, signal }) => {
+      if (this.shellTerminal && this.shellTerminal.serverId === serverId) {
+        this.shellTerminal.exited = true;
+        this.shellTerminal.write(`\r\n\x1b[2m[shell exited (${signal || `code ${code}`}) - press any key to start a new one]\x1b[0m\r\n`);
+      }
+    });
+
+    ipcRenderer.on('navigate', (event, page, params) => {
       if (page === 'settings') {
         this.showSettings();
+      } else if (page === 'server-log') {
+        this.revealServerLog(params);
       }
     });
 
@@ -405,6 +595,14 @@ class App {
     `;
     container.appendChild(addServerSection);
 
+    const quarantined = (this.servers || []).filter(s => this.normalizeStatus(s.status) === 'crash-looping');
+    if (quarantined.length > 0) {
+      const banner = document.createElement('div');
+      banner.className = 'quarantine-banner';
+      banner.textContent = `Crash-looping, auto-restart paused: ${quarantined.map(s => s.name).join(', ')}`;
+      container.appendChild(banner);
+    }
+
     if (!this.servers || this.servers.length === 0) {
       const emptyState = document.createElement('div');
       emptyState.className = 'empty-state';
@@ -420,18 +618,35 @@ class App {
         <div class="server-status ${status}"></div>
         <div class="server-info">
           <div class="server-name">
-            ${server.name}
+            ${escapeHtml(server.name)}
           </div>
           <div class="server-details">
             ${server.actualPort ? `<span>Port: ${server.actualPort}</span>` : ''}
+            ${server.activeHook ? `<span>• Running ${server.activeHook} hook…</span>` : ''}
+            ${status === 'starting' && !server.activeHook ? '<span>• Waiting for readiness…</span>' : ''}
             ${status === 'running' ? `<span>• Uptime: ${server.uptime || '0m'}</span>` : ''}
             ${status === 'running' && server.cpu !== null ? `<span>• CPU: ${server.cpu}%</span>` : ''}
             ${status === 'running' && server.memory !== null ? `<span>• Mem: ${server.memory}MB</span>` : ''}
-            ${status === 'error' ? `<span class="error-text">• ${server.error || 'Unknown error'}</span>` : ''}
+            ${server.restartCount ? `<span>• Restarts: ${server.restartCount}</span>` : ''}
+            ${status === 'error' || status === 'crash-looping' || status === 'unhealthy' ? `<span class="error-text">• ${escapeHtml(server.error || 'Unknown error')}</span>` : ''}
           </div>
+          ${server.crashDiagnosis && (status === 'error' || status === 'crash-looping') ? `
+            <div class="crash-diagnosis" title="${escapeHtml(server.crashDiagnosis.line)}">
+              <span>${escapeHtml(server.crashDiagnosis.summary)}</span>
+              ${server.crashDiagnosis.remedy && !server.activeHook ? `<button type="button" class="remedy-button">${escapeHtml(server.crashDiagnosis.remedy.label)}</button>` : ''}
+            </div>
+          ` : ''}
         </div>
         <div class="server-actions">
-          ${status === 'stopped' || status === 'error' ? `
+          ${status === 'crash-looping' ? `
+            <button data-action="resume" data-server-id="${server.id}" title="Resume (clear crash-loop and start)">
+              <svg viewBox="0 0 24 24"><path d="M6 5h3v14H6zM11 5v14l9-7z"/></svg>
+            </button>
+          ` : status === 'stopping' ? `
+            <button data-action="force-kill" data-server-id="${server.id}" title="Force Kill now (SIGKILL)" class="force-kill-btn">
+              <svg viewBox="0 0 24 24"><path d="M12 2C6.47 2 2 6.47 2 12s4.47 10 10 10 10-4.47 10-10S17.53 2 12 2zm5 13.59L15.59 17 12 13.41 8.41 17 7 15.59 10.59 12 7 8.41 8.41 7 12 10.59 15.59 7 17 8.41 13.41 12 17 15.59z"/></svg>
+            </button>
+          ` : status === 'stopped' || status === 'error' ? `
             <button data-action="start" data-server-id="${server.id}" title="Start">
               <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
             </button>
@@ -459,6 +674,11 @@ class App {
         });
       });
 
+      item.querySelector('.remedy-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.applyCrashRemedy(server);
+      });
+
       item.addEventListener('click', () => this.showServerDetail(server));
       container.appendChild(item);
     });
@@ -476,7 +696,7 @@ class App {
           await this.loadServers();
         }
       } else {
-        if (action === 'start') {
+        if (action === 'start' || action === 'resume') {
           this.setServerLocalStatus(serverId, 'starting');
         } else if (action === 'restart') {
           this.setServerLocalStatus(serverId, 'restarting');
@@ -496,14 +716,63 @@ class App {
     }
   }
 
+  // Suggested fix from the crash diagnosis; the main process applies it and starts the server again.
+  // A missing env var needs a value only the user knows, so that one opens the env editor instead.
+  async applyCrashRemedy(server) {
+    const remedy = server.crashDiagnosis?.remedy;
+    if (!remedy) return;
+
+    if (remedy.action === 'edit-env') {
+      await this.showServerDetail(server);
+      const existing = Array.from(document.querySelectorAll('#detail-env-list .env-row'))
+        .find(row => row.querySelector('.env-key').value.trim() === remedy.key);
+      const row = existing || this.addEnvRow(remedy.key, '');
+      row?.scrollIntoView({ block: 'center' });
+      row?.querySelector('.env-value').focus();
+      this.setStatusMessage(`Enter a value for ${remedy.key} and save the environment.`, { ttlMs: 4000 });
+      return;
+    }
+
+    this.setServerLocalStatus(server.id, 'starting');
+    try {
+      const result = await ipcRenderer.invoke('apply-crash-remedy', server.id);
+      if (!result.success && !result.canceled) alert(`Failed to apply fix: ${result.error || 'Unknown error'}`);
+    } catch (error) {
+      alert(`Failed to apply fix: ${error.message}`);
+    }
+    await this.loadServers();
+  }
+
   async showServerDetail(server) {
+    if (this.secretReveal && this.secretReveal.serverId !== server.id) await this.setSecretReveal(false);
     this.currentDetailServer = server;
+    this.inputHistoryIndex = null;
+    this.viewingRunId = null;
+    document.getElementById('stdin-input').value = '';
     document.getElementById('detail-server-name').textContent = server.name;
     document.getElementById('detail-name').textContent = server.name;
     document.getElementById('detail-path').textContent = server.path;
     document.getElementById('detail-script').textContent = server.command; // Use command
     document.getElementById('detail-actual-port').textContent = server.actualPort ? `${server.actualPort} ⚡` : '-';
+    LIFECYCLE_HOOKS.forEach(hookName => {
+      document.getElementById(`detail-${hookName}`).textContent = server[hookName] || '-';
+    });
+    this.loadNodeToolchain(server.id);
     this.updateServerDetail(server);
+    this.populateRestartPolicy(server);
+    this.populateReadinessProbe(server);
+    this.populateLivenessProbe(server);
+    this.renderDependsOnOptions(document.getElementById('detail-depends-on'), server.id, server.dependsOn);
+    this.populateLaunch(server);
+    this.populateStopPolicy(server);
+    this.populateTerminalSettings(server);
+    this.populateLogFileSettings(server);
+    this.renderAlertRules('detail-alert-rules', server.alertRules);
+    this.populateSeverity(server);
+    this.populateRedaction(server);
+    this.updateLogColorsButton();
+    this.updateSecretRevealButton();
+    this.populateEnvironment(server);
 
     // Reset to view mode
     this.cancelEditingServer();
@@ -513,8 +782,12 @@ class App {
     openBrowserBtn.disabled = !server.actualPort;
 
     document.getElementById('open-terminal-btn').onclick = () => ipcRenderer.invoke('open-terminal', server.path);
+    document.getElementById('export-diagnostics-btn').onclick = (e) => this.exportDiagnostics(server.id, e.currentTarget);
 
     await this.loadServerLogs(server.id);
+    await this.loadLogRuns(server.id);
+    await this.setupTerminalView(server);
+    await this.loadExitHistory(server.id);
     document.getElementById('server-detail').classList.remove('hidden');
     
     // 윈도우 크기 조정을 위해 main process에 알림
@@ -524,8 +797,12 @@ class App {
   }
 
   hideServerDetail() {
+    if (this.secretReveal) this.setSecretReveal(false);
     document.getElementById('server-detail').classList.add('hidden');
     this.currentDetailServer = null;
+    this.disposeTerminal();
+    this.disposeShellView();
+    if (this.logView === 'shell') this.logView = 'terminal';
     
     // 윈도우 크기 조정을 위해 main process에 알림
     setTimeout(() => {
@@ -537,6 +814,7 @@ class App {
     if (!this.currentDetailServer || this.currentDetailServer.id !== server.id) return;
     document.getElementById('detail-pid').textContent = server.pid || '-';
     document.getElementById('detail-actual-port').textContent = server.actualPort ? `${server.actualPort} ⚡` : '-';
+    this.updateStdinForm(server);
 
     // Detail 화면에서는 초단위까지 표시
     const detailedUptime = server.startTime ? this.calculateUptimeWithSeconds(server.startTime) : '-';
@@ -544,6 +822,7 @@ class App {
 
     document.getElementById('detail-cpu').textContent = server.cpu !== null ? `${server.cpu}%` : '-';
     document.getElementById('detail-memory').textContent = server.memory !== null ? `${server.memory}MB` : '-';
+    document.getElementById('detail-restarts').textContent = String(server.restartCount || 0);
 
     // Open Browser 버튼 상태도 업데이트
     const openBrowserBtn = document.getElementById('open-browser-btn');
@@ -562,38 +841,152 @@ class App {
   }
 
   async loadServerLogs(serverId) {
-    const container = document.getElementById('log-container');
-    container.innerHTML = '';
     const logs = await ipcRenderer.invoke('get-logs', serverId);
-    if (logs.length === 0) {
-      container.innerHTML = '<div class="log-empty-state">No logs available</div>';
-      return;
-    }
-    logs.slice(-100).forEach(log => this.appendLog(log, container));
-    container.scrollTop = container.scrollHeight;
+    if (!this.currentDetailServer || this.currentDetailServer.id !== serverId || this.viewingRunId) return;
+    this.detailLogView.setEntries(logs.slice(-LIVE_LOG_LIMIT));
   }
 
-  appendLog(log, container = document.getElementById('log-container')) {
-    if (!container) return;
-    const wasScrolledToBottom = container.scrollHeight - container.clientHeight <= container.scrollTop + 1;
-
-    const entry = document.createElement('div');
-    entry.className = 'log-entry';
-    const timeStr = new Date(log.timestamp).toLocaleTimeString('en-US', { hour12: false });
-    entry.innerHTML = `
-      <span class="log-time">${timeStr}</span>
-      <span class="log-level ${log.level}">[${log.level}]</span>
-      <span class="log-message">${this.escapeHtml(log.message)}</span>
-    `;
-    container.appendChild(entry);
-    if (container.children.length > 200) { // Keep more logs
-      container.removeChild(container.firstChild);
-    }
-    if (wasScrolledToBottom) {
-      container.scrollTop = container.scrollHeight;
+  setupLogToolbar() {
+    this.detailLogView = new LogView({
+      container: document.getElementById('log-container'),
+      toolbar: document.getElementById('log-toolbar'),
+      limit: LIVE_LOG_LIMIT,
+      stripColors: () => Boolean(this.currentDetailServer?.stripAnsiColors),
+      openFile: location => this.openInEditor(this.currentDetailServer?.id, location)
+    });
+
+    const colorsButton = document.getElementById('log-colors-btn');
+    colorsButton.addEventListener('click', async () => {
+      const stripAnsiColors = !this.currentDetailServer?.stripAnsiColors;
+      const result = await this.saveServerConfig({ stripAnsiColors }, colorsButton);
+      if (result.success) {
+        this.updateLogColorsButton();
+        this.detailLogView.render();
+      }
+    });
+
+    this.mergedLogView = new LogView({
+      container: document.getElementById('merged-log-container'),
+      toolbar: document.getElementById('merged-log-toolbar'),
+      limit: MERGED_LOG_LIMIT,
+      stripColors: log => Boolean(this.servers.find(server => server.id === log.serverId)?.stripAnsiColors),
+      serverTag: log => ({ name: log.serverName || log.serverId, color: this.getServerColor(log.serverId) }),
+      openFile: (location, log) => this.openInEditor(log.serverId, location)
+    });
+
+    // Stack frames in the exit history's captured output
+    document.getElementById('exit-history')?.addEventListener('click', (e) => {
+      const link = e.target.closest('.log-file-link');
+      if (link && this.currentDetailServer) this.openInEditor(this.currentDetailServer.id, readFileLink(link));
+    });
+  }
+
+  updateLogColorsButton() {
+    const button = document.getElementById('log-colors-btn');
+    const colorsShown = !this.currentDetailServer?.stripAnsiColors;
+    button.classList.toggle('active', colorsShown);
+    button.title = colorsShown ? 'ANSI colors are rendered; click to strip them for this server' : 'ANSI colors are stripped; click to render them';
+  }
+
+  // Stable per-server color for the combined view's tags
+  getServerColor(serverId) {
+    let hash = 0;
+    for (const char of String(serverId)) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return SERVER_TAG_COLORS[hash % SERVER_TAG_COLORS.length];
+  }
+
+  async showMergedLogs() {
+    const modal = document.getElementById('merged-logs-modal');
+    this.renderMergedServerChips();
+    modal.classList.remove('hidden');
+    this.forceModalLayout(modal);
+    this.justOpenedModal = { id: 'merged-logs-modal', ts: Date.now() };
+    await this.loadMergedLogs();
+  }
+
+  hideMergedLogs() {
+    document.getElementById('merged-logs-modal').classList.add('hidden');
+  }
+
+  isMergedLogsOpen() {
+    return !document.getElementById('merged-logs-modal').classList.contains('hidden');
+  }
+
+  isInMergedLogs(serverId) {
+    return !this.mergedServerIds || this.mergedServerIds.has(serverId);
+  }
+
+  renderMergedServerChips() {
+    const container = document.getElementById('merged-log-servers');
+    container.innerHTML = '';
+
+    const allChip = document.createElement('button');
+    allChip.className = `toggle-button ${this.mergedServerIds ? '' : 'active'}`;
+    allChip.dataset.serverId = '';
+    allChip.textContent = 'All servers';
+    container.appendChild(allChip);
+
+    this.servers.forEach(server => {
+      const chip = document.createElement('button');
+      chip.className = `toggle-button ${this.mergedServerIds?.has(server.id) ? 'active' : ''}`;
+      chip.dataset.serverId = server.id;
+      chip.innerHTML = `<span class="server-color-dot" style="background: ${this.getServerColor(server.id)}"></span>${this.escapeHtml(server.name)}`;
+      container.appendChild(chip);
+    });
+  }
+
+  // '' selects all servers; otherwise toggles one server in or out of the combined view
+  toggleMergedServer(serverId) {
+    if (!serverId) {
+      this.mergedServerIds = null;
+    } else {
+      const selected = new Set(this.mergedServerIds || []);
+      if (selected.has(serverId)) selected.delete(serverId);
+      else selected.add(serverId);
+      this.mergedServerIds = selected.size > 0 ? selected : null;
     }
+    this.renderMergedServerChips();
+    this.loadMergedLogs();
+  }
+
+  async loadMergedLogs() {
+    const selection = this.mergedServerIds;
+    const logs = await ipcRenderer.invoke('get-merged-logs', selection ? Array.from(selection) : null);
+    if (this.mergedServerIds !== selection) return;
+    this.mergedLogView.setEntries(logs.slice(-MERGED_LOG_LIMIT));
   }
 
+  async loadExitHistory(serverId) {
+    const section = document.getElementById('exit-history-section');
+    const container = document.getElementById('exit-history');
+    if (!section || !container) return;
+
+    const history = await ipcRenderer.invoke('get-exit-history', serverId);
+    if (!this.currentDetailServer || this.currentDetailServer.id !== serverId) return;
+
+    container.innerHTML = '';
+    section.style.display = history.length > 0 ? '' : 'none';
+
+    // Newest first
+    [...history].reverse().forEach(record => {
+      const item = document.createElement('details');
+      item.className = 'exit-attempt';
+      const timeStr = new Date(record.exitedAt).toLocaleString('en-US', { hour12: false });
+      const lines = (record.lastLogs || []).map(log => `
+        <div class="log-entry">
+          <span class="log-level ${log.level}">[${log.level}]</span>
+          <span class="log-message">${this.detailLogView.highlightMessage(log.message, null)}</span>
+        </div>
+      `).join('');
+      item.innerHTML = `
+        <summary>${timeStr} — exit code ${record.code ?? 'signal'}</summary>
+        <div class="exit-attempt-logs">${lines || '<div class="log-empty-state">No output captured</div>'}</div>
+      `;
+      container.appendChild(item);
+    });
+  }
+
+
   updateStatusBar() {
     const runningCount = this.servers.filter(s => this.isRunningLike(s.status)).length;
     const totalCount = this.servers.length;
@@ -641,6 +1034,8 @@ class App {
       npmPathEl.value = nodePaths?.npm || '';
       
       await this.loadPresets();
+      this.populateEditorSettings(await ipcRenderer.invoke('get-editor-config'));
+      this.renderAlertRules('global-alert-rules', await ipcRenderer.invoke('get-global-alert-rules'));
       modal.classList.remove('hidden');
       this.forceModalLayout(modal);
       this.justOpenedModal = { id: 'settings-modal', ts: Date.now() };
@@ -654,6 +1049,36 @@ class App {
     document.getElementById('settings-modal').classList.add('hidden');
   }
 
+  setupEditorSettings() {
+    const select = document.getElementById('editor-preset');
+    const commandInput = document.getElementById('editor-command');
+    const terminalCheckbox = document.getElementById('editor-terminal');
+    EDITOR_PRESETS.forEach(preset => select.add(new Option(preset.label, preset.id)));
+    select.add(new Option('Custom command', ''));
+
+    select.addEventListener('change', () => {
+      const preset = EDITOR_PRESETS.find(item => item.id === select.value);
+      if (!preset) return;
+      commandInput.value = preset.command;
+      terminalCheckbox.checked = preset.terminal;
+    });
+    // Editing the command by hand switches the picker to "Custom command"
+    const syncPreset = () => {
+      const preset = EDITOR_PRESETS.find(item => (
+        item.command === commandInput.value.trim() && item.terminal === terminalCheckbox.checked
+      ));
+      select.value = preset ? preset.id : '';
+    };
+    commandInput.addEventListener('input', syncPreset);
+    terminalCheckbox.addEventListener('change', syncPreset);
+  }
+
+  populateEditorSettings(editor) {
+    document.getElementById('editor-command').value = editor?.command || '';
+    document.getElementById('editor-terminal').checked = Boolean(editor?.terminal);
+    document.getElementById('editor-command').dispatchEvent(new Event('input'));
+  }
+
   async loadPresets() {
     const presets = await ipcRenderer.invoke('get-presets');
     const select = document.getElementById('preset-select');
@@ -719,6 +1144,7 @@ class App {
       nameInput.value = '';
       pathInput.value = '';
       commandInput.value = '';
+      this.renderDependsOnOptions(document.getElementById('server-depends-on'), null, []);
       modal.classList.remove('hidden');
       this.forceModalLayout(modal);
       this.justOpenedModal = { id: 'add-server-modal', ts: Date.now() };
@@ -746,11 +1172,16 @@ class App {
       id: name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
       name,
       path,
-      command
+      command,
+      dependsOn: this.getCheckedDependsOn(document.getElementById('server-depends-on'))
     };
 
     try {
-      await ipcRenderer.invoke('add-manual-server', serverConfig);
+      const result = await ipcRenderer.invoke('add-manual-server', serverConfig);
+      if (result && result.success === false) {
+        alert('Failed to add server: ' + (result.error || 'Unknown error'));
+        return;
+      }
       this.hideAddServerModal();
       await this.loadServers();
     } catch (error) {
@@ -912,6 +1343,14 @@ class App {
       case 'port':
         currentValue = this.currentDetailServer.port || '';
         break;
+      case 'nodeVersion':
+        currentValue = this.currentDetailServer.nodeVersion || '';
+        break;
+      default:
+        if (LIFECYCLE_HOOKS.includes(fieldName)) {
+          currentValue = this.currentDetailServer[fieldName] || '';
+        }
+        break;
     }
     
     input.value = currentValue;
@@ -943,13 +1382,7 @@ class App {
     }
 
     // Create update object with only the changed field
-    const updatedServer = {
-      id: this.currentDetailServer.id,
-      name: this.currentDetailServer.name,
-      path: this.currentDetailServer.path,
-      command: this.currentDetailServer.command,
-      port: this.currentDetailServer.port
-    };
+    const updatedServer = this.buildServerUpdate();
 
     // Update the specific field
     switch (fieldName) {
@@ -965,6 +1398,16 @@ class App {
       case 'port':
         updatedServer.port = newValue ? parseInt(newValue) : null;
         break;
+      case 'nodeVersion':
+        // Empty value clears the override and falls back to project files
+        updatedServer.nodeVersion = newValue;
+        break;
+      default:
+        // Lifecycle hooks may be cleared with an empty value
+        if (LIFECYCLE_HOOKS.includes(fieldName)) {
+          updatedServer[fieldName] = newValue;
+        }
+        break;
     }
 
     try {
@@ -985,6 +1428,10 @@ class App {
         if (displayElement) {
           if (fieldName === 'port') {
             displayElement.textContent = updatedServer.port || 'N/A';
+          } else if (LIFECYCLE_HOOKS.includes(fieldName)) {
+            displayElement.textContent = updatedServer[fieldName] || '-';
+          } else if (fieldName === 'nodeVersion') {
+            await this.loadNodeToolchain(updatedServer.id);
           } else {
             displayElement.textContent = updatedServer[fieldName];
           }
@@ -997,6 +1444,9 @@ class App {
 
         // Refresh server list to reflect changes
         await this.loadServers();
+        if (['path', 'command', 'nodeVersion'].includes(fieldName)) {
+          this.updateLaunchPreview();
+        }
         
         // Cancel editing
         this.cancelFieldEditing(fieldName);
@@ -1010,6 +1460,869 @@ class App {
     }
   }
 
+  // Resolved Node.js toolchain for the server (explicit override, .nvmrc, .node-version, package.json)
+  async loadNodeToolchain(serverId) {
+    const display = document.getElementById('detail-nodeVersion');
+    if (!display) return;
+
+    try {
+      const result = await ipcRenderer.invoke('get-node-toolchain', serverId);
+      if (this.currentDetailServer?.id !== serverId) return;
+      if (!result.success) {
+        display.textContent = '-';
+        return;
+      }
+
+      const requested = result.requested ? ` · "${result.requested}" from ${result.source}` : '';
+      if (result.binDir) {
+        display.textContent = `${result.version} (${result.manager})${requested}`;
+      } else if (result.error) {
+        display.textContent = `⚠ ${result.error} · using ${result.systemVersion || 'system node'}`;
+      } else {
+        display.textContent = `${result.systemVersion || 'node'} (system)${requested}`;
+      }
+      display.title = result.binDir || '';
+    } catch (error) {
+      display.textContent = '-';
+    }
+  }
+
+  // Base payload for `update-server`; callers override the fields they change.
+  buildServerUpdate() {
+    return {
+      id: this.currentDetailServer.id,
+      name: this.currentDetailServer.name,
+      path: this.currentDetailServer.path,
+      command: this.currentDetailServer.command,
+      port: this.currentDetailServer.port
+    };
+  }
+
+  // Save per-server settings edited in the detail modal (restart policy, etc.)
+  async saveServerConfig(patch, button) {
+    if (!this.currentDetailServer) return { success: false };
+
+    const originalHtml = button ? button.innerHTML : null;
+    if (button) {
+      button.innerHTML = NOW_SAVING_SPAN;
+      button.disabled = true;
+    }
+
+    try {
+      const result = await ipcRenderer.invoke('update-server', { ...this.buildServerUpdate(), ...patch });
+      if (result.success) {
+        this.currentDetailServer = { ...this.currentDetailServer, ...patch };
+        await this.loadServers();
+        this.setStatusMessage('Settings saved.', { ttlMs: 2000 });
+      } else {
+        alert('Failed to update server: ' + (result.error || 'Unknown error'));
+      }
+      return result;
+    } catch (error) {
+      alert('Failed to save settings.');
+      return { success: false, error: error.message };
+    } finally {
+      if (button) this.restoreButtonHtml(button, originalHtml);
+    }
+  }
+
+  populateRestartPolicy(server) {
+    const policy = server.restartPolicy || {};
+    document.getElementById('restart-policy-mode').value = policy.mode || 'never';
+    document.getElementById('restart-policy-max-retries').value = policy.maxRetries ?? '';
+    document.getElementById('restart-policy-backoff').value = policy.backoffMs ?? '';
+    document.getElementById('restart-policy-max-backoff').value = policy.maxBackoffMs ?? '';
+    document.getElementById('restart-policy-crash-threshold').value = policy.crashLoopThreshold ?? '';
+    document.getElementById('restart-policy-crash-window').value = policy.crashLoopWindowMs ?? '';
+  }
+
+  async saveRestartPolicy() {
+    const restartPolicy = {
+      mode: document.getElementById('restart-policy-mode').value,
+      maxRetries: parseInt(document.getElementById('restart-policy-max-retries').value, 10),
+      backoffMs: parseInt(document.getElementById('restart-policy-backoff').value, 10),
+      maxBackoffMs: parseInt(document.getElementById('restart-policy-max-backoff').value, 10),
+      crashLoopThreshold: parseInt(document.getElementById('restart-policy-crash-threshold').value, 10),
+      crashLoopWindowMs: parseInt(document.getElementById('restart-policy-crash-window').value, 10)
+    };
+    await this.saveServerConfig({ restartPolicy }, document.getElementById('save-restart-policy-btn'));
+  }
+
+  populateReadinessProbe(server) {
+    const probe = server.readinessProbe || {};
+    document.getElementById('readiness-probe-type').value = probe.type || 'none';
+    document.getElementById('readiness-probe-timeout').value = probe.timeoutMs ?? '';
+    document.getElementById('readiness-probe-path').value = probe.path || '';
+    document.getElementById('readiness-probe-pattern').value = probe.pattern || '';
+    this.updateReadinessProbeFields();
+  }
+
+  updateReadinessProbeFields() {
+    const type = document.getElementById('readiness-probe-type').value;
+    document.getElementById('readiness-probe-path-group').style.display = type === 'http' ? '' : 'none';
+    document.getElementById('readiness-probe-pattern-group').style.display = type === 'log' ? '' : 'none';
+  }
+
+  async saveReadinessProbe() {
+    const type = document.getElementById('readiness-probe-type').value;
+    const pattern = document.getElementById('readiness-probe-pattern').value;
+
+    if (type === 'log') {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        alert(`Invalid regex: ${error.message}`);
+        return;
+      }
+    }
+
+    const readinessProbe = {
+      type,
+      path: document.getElementById('readiness-probe-path').value.trim(),
+      pattern,
+      timeoutMs: parseInt(document.getElementById('readiness-probe-timeout').value, 10)
+    };
+    await this.saveServerConfig({ readinessProbe }, document.getElementById('save-readiness-probe-btn'));
+  }
+
+  populateLivenessProbe(server) {
+    const probe = server.livenessProbe || {};
+    document.getElementById('liveness-probe-type').value = probe.type || 'none';
+    document.getElementById('liveness-probe-interval').value = probe.intervalMs ?? '';
+    document.getElementById('liveness-probe-threshold').value = probe.failureThreshold ?? '';
+    document.getElementById('liveness-probe-path').value = probe.path || '';
+    document.getElementById('liveness-probe-command').value = probe.command || '';
+    document.getElementById('liveness-probe-restart').checked = probe.restartOnUnhealthy === true;
+    this.updateLivenessProbeFields();
+  }
+
+  updateLivenessProbeFields() {
+    const type = document.getElementById('liveness-probe-type').value;
+    document.getElementById('liveness-probe-path-group').style.display = type === 'http' ? '' : 'none';
+    document.getElementById('liveness-probe-command-group').style.display = type === 'command' ? '' : 'none';
+  }
+
+  async saveLivenessProbe() {
+    const type = document.getElementById('liveness-probe-type').value;
+    const command = document.getElementById('liveness-probe-command').value.trim();
+    if (type === 'command' && !command) {
+      alert('Command cannot be empty');
+      return;
+    }
+
+    const livenessProbe = {
+      type,
+      path: document.getElementById('liveness-probe-path').value.trim(),
+      command,
+      intervalMs: parseInt(document.getElementById('liveness-probe-interval').value, 10),
+      failureThreshold: parseInt(document.getElementById('liveness-probe-threshold').value, 10),
+      restartOnUnhealthy: document.getElementById('liveness-probe-restart').checked
+    };
+    await this.saveServerConfig({ livenessProbe }, document.getElementById('save-liveness-probe-btn'));
+  }
+
+  // Checkbox list of the other servers for `dependsOn`
+  renderDependsOnOptions(container, selfId, selected = []) {
+    if (!container) return;
+    container.innerHTML = '';
+    const candidates = this.servers.filter(s => s.id !== selfId);
+    if (candidates.length === 0) {
+      container.innerHTML = '<span class="checkbox-list-empty">No other servers</span>';
+      return;
+    }
+    candidates.forEach(candidate => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = candidate.id;
+      checkbox.checked = (selected || []).includes(candidate.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(candidate.name));
+      container.appendChild(label);
+    });
+  }
+
+  getCheckedDependsOn(container) {
+    if (!container) return [];
+    return Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+  }
+
+  async saveDependsOn() {
+    const dependsOn = this.getCheckedDependsOn(document.getElementById('detail-depends-on'));
+    const result = await this.saveServerConfig({ dependsOn }, document.getElementById('save-depends-on-btn'));
+    if (!result.success && this.currentDetailServer) {
+      // Roll the checkboxes back to the saved graph after a rejected (e.g. cyclic) change.
+      const saved = this.servers.find(s => s.id === this.currentDetailServer.id);
+      this.renderDependsOnOptions(document.getElementById('detail-depends-on'), this.currentDetailServer.id, saved?.dependsOn);
+    }
+  }
+
+  populateLaunch(server) {
+    const launch = server.launch || {};
+    document.getElementById('launch-mode').value = launch.mode || 'login-shell';
+    document.getElementById('launch-shell').value = launch.shell || '/bin/bash';
+    this.updateLaunchPreview();
+  }
+
+  getLaunchFormValue() {
+    return {
+      mode: document.getElementById('launch-mode').value,
+      shell: document.getElementById('launch-shell').value.trim()
+    };
+  }
+
+  // Preview the argv for the (possibly unsaved) launch settings
+  async updateLaunchPreview() {
+    if (!this.currentDetailServer) return;
+    const serverId = this.currentDetailServer.id;
+    const launch = this.getLaunchFormValue();
+    document.getElementById('launch-shell-group').style.display = launch.mode === 'direct' ? 'none' : '';
+
+    const preview = document.getElementById('launch-preview');
+    const result = await ipcRenderer.invoke('get-launch-preview', serverId, launch);
+    if (this.currentDetailServer?.id !== serverId) return;
+
+    preview.classList.toggle('error', !result.success);
+    if (!result.success) {
+      preview.textContent = result.error || 'Unable to build argv';
+      return;
+    }
+    const envLines = Object.entries(result.env || {}).map(([key, value]) => `env ${key}=${JSON.stringify(value)}`);
+    const argvLines = result.argv.map((arg, index) => `argv[${index}] ${JSON.stringify(arg)}`);
+    preview.textContent = [...envLines, ...argvLines, `cwd ${result.cwd}`].join('\n');
+  }
+
+  async saveLaunch() {
+    const launch = this.getLaunchFormValue();
+    const result = await this.saveServerConfig({ launch }, document.getElementById('save-launch-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) this.populateLaunch(saved);
+    }
+  }
+
+  populateStopPolicy(server) {
+    const policy = server.stopPolicy || {};
+    document.getElementById('stop-policy-signal').value = policy.signal || 'SIGTERM';
+    document.getElementById('stop-policy-grace').value = policy.gracePeriodMs ?? '';
+    // SIGKILL is always the final step, so only the intermediate signals are editable
+    document.getElementById('stop-policy-escalation').value = (policy.escalation || [])
+      .filter(signal => signal !== 'SIGKILL')
+      .join(', ');
+  }
+
+  async saveStopPolicy() {
+    const escalation = document.getElementById('stop-policy-escalation').value
+      .split(/[\s,]+/)
+      .map(signal => signal.trim().toUpperCase())
+      .filter(Boolean)
+      .map(signal => (signal.startsWith('SIG') ? signal : `SIG${signal}`));
+
+    const invalid = escalation.find(signal => !STOP_SIGNALS.includes(signal));
+    if (invalid) {
+      alert(`Unsupported signal: ${invalid}`);
+      return;
+    }
+
+    const stopPolicy = {
+      signal: document.getElementById('stop-policy-signal').value,
+      gracePeriodMs: parseInt(document.getElementById('stop-policy-grace').value, 10),
+      escalation: [...escalation, 'SIGKILL']
+    };
+    const result = await this.saveServerConfig({ stopPolicy }, document.getElementById('save-stop-policy-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) this.populateStopPolicy(saved);
+    }
+  }
+
+  async sendStdinLine() {
+    if (!this.currentDetailServer) return;
+    const serverId = this.currentDetailServer.id;
+    const input = document.getElementById('stdin-input');
+    const line = input.value;
+
+    const result = await ipcRenderer.invoke('send-server-input', serverId, line);
+    if (!result.success) {
+      this.setStatusMessage(`Input not sent: ${result.error || 'Unknown error'}`, { ttlMs: 4000 });
+      return;
+    }
+
+    if (line.trim()) {
+      const history = (this.inputHistory.get(serverId) || []).filter(entry => entry !== line);
+      history.push(line);
+      this.inputHistory.set(serverId, history.slice(-50));
+    }
+    this.inputHistoryIndex = null;
+    input.value = '';
+  }
+
+  navigateInputHistory(direction) {
+    if (!this.currentDetailServer) return;
+    const history = this.inputHistory.get(this.currentDetailServer.id) || [];
+    if (history.length === 0) return;
+
+    const input = document.getElementById('stdin-input');
+    let index = this.inputHistoryIndex === null ? history.length : this.inputHistoryIndex;
+    index = Math.min(Math.max(index + direction, 0), history.length);
+    this.inputHistoryIndex = index === history.length ? null : index;
+    input.value = this.inputHistoryIndex === null ? '' : history[index];
+  }
+
+  updateStdinForm(server) {
+    const running = ['running', 'starting', 'unhealthy'].includes(this.normalizeStatus(server.status));
+    document.getElementById('stdin-form').classList.toggle('disabled', !running);
+    document.getElementById('stdin-input').disabled = !running;
+    document.getElementById('stdin-send-btn').disabled = !running;
+  }
+
+  populateTerminalSettings(server) {
+    const ptyConfig = server.pty || {};
+    document.getElementById('pty-enabled').checked = ptyConfig.enabled === true;
+    document.getElementById('pty-cols').value = ptyConfig.cols ?? '';
+    document.getElementById('pty-rows').value = ptyConfig.rows ?? '';
+  }
+
+  async saveTerminalSettings() {
+    const pty = {
+      enabled: document.getElementById('pty-enabled').checked,
+      cols: parseInt(document.getElementById('pty-cols').value, 10),
+      rows: parseInt(document.getElementById('pty-rows').value, 10)
+    };
+    const result = await this.saveServerConfig({ pty }, document.getElementById('save-pty-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) {
+        this.populateTerminalSettings(saved);
+        await this.setupTerminalView(saved);
+      }
+    }
+  }
+
+  populateLogFileSettings(server) {
+    const logFiles = server.logFiles || {};
+    document.getElementById('log-files-enabled').checked = logFiles.enabled !== false;
+    document.getElementById('log-files-max-size').value = logFiles.maxFileSizeMb ?? '';
+    document.getElementById('log-files-max-files').value = logFiles.maxFiles ?? '';
+  }
+
+  async saveLogFileSettings() {
+    const logFiles = {
+      enabled: document.getElementById('log-files-enabled').checked,
+      maxFileSizeMb: parseFloat(document.getElementById('log-files-max-size').value),
+      maxFiles: parseInt(document.getElementById('log-files-max-files').value, 10)
+    };
+    const result = await this.saveServerConfig({ logFiles }, document.getElementById('save-log-files-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) this.populateLogFileSettings(saved);
+    }
+  }
+
+  populateSeverity(server) {
+    const severity = server.severity || {};
+    document.getElementById('severity-stderr-default').value = severity.defaultStderrLevel || 'info';
+    document.getElementById('severity-rules').innerHTML = '';
+    (severity.rules || []).forEach(rule => this.addSeverityRuleRow(rule));
+  }
+
+  addSeverityRuleRow(rule = {}) {
+    const list = document.getElementById('severity-rules');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'alert-rule-row';
+    row.innerHTML = `
+      <input type="text" class="alert-pattern" placeholder="e.g. ^\\s*\\[HMR\\]|Browserslist: caniuse-lite" spellcheck="false">
+      <select class="severity-stream" title="Only lines from this stream">
+        <option value="">Any stream</option>
+        <option value="stdout">stdout</option>
+        <option value="stderr">stderr</option>
+      </select>
+      <select class="severity-level" title="Level to log matching lines at">
+        ${SEVERITY_LEVELS.map(level => `<option value="${level}">${level}</option>`).join('')}
+      </select>
+      <button class="small-icon-button" title="Remove">×</button>
+    `;
+    row.querySelector('.alert-pattern').value = rule.pattern || '';
+    row.querySelector('.severity-stream').value = rule.stream || '';
+    row.querySelector('.severity-level').value = rule.level || 'info';
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    list.appendChild(row);
+    return row;
+  }
+
+  async saveSeverity() {
+    const rules = [];
+    for (const row of document.querySelectorAll('#severity-rules .alert-rule-row')) {
+      const pattern = row.querySelector('.alert-pattern').value.trim();
+      if (!pattern) continue;
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        alert(`Invalid severity pattern "${pattern}": ${error.message}`);
+        return;
+      }
+      rules.push({
+        pattern,
+        stream: row.querySelector('.severity-stream').value,
+        level: row.querySelector('.severity-level').value
+      });
+    }
+
+    const severity = {
+      defaultStderrLevel: document.getElementById('severity-stderr-default').value,
+      rules
+    };
+    const result = await this.saveServerConfig({ severity }, document.getElementById('save-severity-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) this.populateSeverity(saved);
+    }
+  }
+
+  populateRedaction(server) {
+    const redaction = server.redaction || {};
+    document.getElementById('redaction-enabled').checked = redaction.enabled !== false;
+    document.getElementById('redaction-secret-env').value = (redaction.secretEnvVars || []).join(', ');
+    document.getElementById('redaction-patterns').value = (redaction.patterns || []).join('\n');
+  }
+
+  async saveRedaction() {
+    const secretEnvVars = document.getElementById('redaction-secret-env').value
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    const invalidName = secretEnvVars.find(name => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name));
+    if (invalidName) {
+      alert(`Invalid variable name: ${invalidName}`);
+      return;
+    }
+    const patterns = document.getElementById('redaction-patterns').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        alert(`Invalid redaction pattern "${pattern}": ${error.message}`);
+        return;
+      }
+    }
+
+    const redaction = {
+      enabled: document.getElementById('redaction-enabled').checked,
+      secretEnvVars,
+      patterns
+    };
+    const result = await this.saveServerConfig({ redaction }, document.getElementById('save-redaction-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) this.populateRedaction(saved);
+    }
+  }
+
+  // Masked secrets are only kept unmasked in the main process's memory; revealing lasts until the
+  // main process's deadline, the modal closes or the button is clicked again
+  async setSecretReveal(revealed) {
+    const serverId = revealed ? this.currentDetailServer?.id : this.secretReveal?.serverId;
+    if (!serverId) return;
+    clearTimeout(this.secretReveal?.timer);
+    this.secretReveal = null;
+
+    const result = await ipcRenderer.invoke('set-secret-reveal', serverId, revealed);
+    if (revealed && result.success) {
+      this.secretReveal = {
+        serverId,
+        timer: setTimeout(() => this.setSecretReveal(false), Math.max(0, result.revealedUntil - Date.now()))
+      };
+    } else if (!result.success) {
+      alert(`Failed to reveal secrets: ${result.error}`);
+    }
+
+    this.updateSecretRevealButton();
+    if (this.currentDetailServer?.id === serverId && !this.viewingRunId) await this.loadServerLogs(serverId);
+  }
+
+  updateSecretRevealButton() {
+    const button = document.getElementById('log-reveal-btn');
+    const revealed = Boolean(this.secretReveal && this.secretReveal.serverId === this.currentDetailServer?.id);
+    button.classList.toggle('active', revealed);
+    button.textContent = revealed ? 'Hide secrets' : 'Reveal secrets';
+  }
+
+  renderAlertRules(listId, rules) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+    list.innerHTML = '';
+    (rules || []).forEach(rule => this.addAlertRuleRow(listId, rule));
+  }
+
+  addAlertRuleRow(listId, rule = {}) {
+    const list = document.getElementById(listId);
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'alert-rule-row';
+    row.innerHTML = `
+      <input type="text" class="alert-pattern" placeholder="e.g. ECONNREFUSED|Compiled with errors" spellcheck="false">
+      <select class="alert-level" title="Only lines at this level or above">
+        <option value="">Any level</option>
+        ${ALERT_LEVELS.map(level => `<option value="${level}">${level}+</option>`).join('')}
+      </select>
+      <input type="number" class="alert-cooldown" min="0" title="Seconds before this rule alerts again for the same server">
+      <button class="small-icon-button" title="Remove">×</button>
+    `;
+    row.querySelector('.alert-pattern').value = rule.pattern || '';
+    row.querySelector('.alert-level').value = rule.level || '';
+    row.querySelector('.alert-cooldown').value = rule.cooldownSeconds ?? DEFAULT_ALERT_COOLDOWN_SECONDS;
+    // Case sensitivity has no control of its own; keep whatever the saved rule had
+    row.dataset.ignoreCase = String(rule.ignoreCase !== false);
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    list.appendChild(row);
+    return row;
+  }
+
+  // Rules from the rows of a list, or null (after telling the user) when a pattern is not a valid regex
+  collectAlertRules(listId) {
+    const rules = [];
+    for (const row of document.querySelectorAll(`#${listId} .alert-rule-row`)) {
+      const pattern = row.querySelector('.alert-pattern').value.trim();
+      if (!pattern) continue;
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        alert(`Invalid alert pattern "${pattern}": ${error.message}`);
+        return null;
+      }
+      const cooldown = parseInt(row.querySelector('.alert-cooldown').value, 10);
+      rules.push({
+        pattern,
+        level: row.querySelector('.alert-level').value,
+        cooldownSeconds: Number.isNaN(cooldown) ? DEFAULT_ALERT_COOLDOWN_SECONDS : cooldown,
+        ignoreCase: row.dataset.ignoreCase !== 'false'
+      });
+    }
+    return rules;
+  }
+
+  async saveAlertRules() {
+    const alertRules = this.collectAlertRules('detail-alert-rules');
+    if (!alertRules) return;
+    const result = await this.saveServerConfig({ alertRules }, document.getElementById('save-alert-rules-btn'));
+    if (result.success) {
+      const saved = this.servers.find(s => s.id === this.currentDetailServer?.id);
+      if (saved) this.renderAlertRules('detail-alert-rules', saved.alertRules);
+    }
+  }
+
+  // Opened from a log alert notification: the server's live log, scrolled to the line that matched
+  async revealServerLog({ serverId, timestamp, message }) {
+    const server = this.servers.find(s => s.id === serverId);
+    if (!server) return;
+    this.hideSettings();
+    this.hideMergedLogs();
+    if (this.currentDetailServer?.id !== serverId || this.viewingRunId) {
+      await this.showServerDetail(server);
+    }
+    this.setLogView('log');
+    const time = new Date(timestamp).getTime();
+    const found = this.detailLogView.reveal(log => new Date(log.timestamp).getTime() === time && log.message === message);
+    if (!found) this.setStatusMessage('The matched line is no longer in the live log.', { ttlMs: 4000 });
+  }
+
+  // Fill the run picker with the runs stored on disk, keeping the current selection if it still exists
+  async loadLogRuns(serverId) {
+    const select = document.getElementById('log-run-select');
+    const runs = await ipcRenderer.invoke('list-log-runs', serverId);
+    if (!this.currentDetailServer || this.currentDetailServer.id !== serverId) return;
+
+    select.innerHTML = '<option value="">Live</option>';
+    runs.filter(run => !run.current).forEach(run => {
+      const option = document.createElement('option');
+      option.value = run.runId;
+      const started = run.startedAt ? new Date(run.startedAt).toLocaleString('en-US', { hour12: false }) : run.runId;
+      option.textContent = `${started} (${this.formatBytes(run.size)})`;
+      select.appendChild(option);
+    });
+    select.value = runs.some(run => run.runId === this.viewingRunId && !run.current) ? this.viewingRunId : '';
+  }
+
+  async selectLogRun(runId) {
+    const server = this.currentDetailServer;
+    if (!server) return;
+    this.viewingRunId = runId;
+    this.setLogView('log');
+
+    if (!runId) {
+      await this.loadServerLogs(server.id);
+      return;
+    }
+
+    const result = await ipcRenderer.invoke('read-log-run', server.id, runId);
+    if (this.viewingRunId !== runId) return;
+    const notice = !result.success
+      ? result.error
+      : (result.truncated ? 'Showing the end of this run; open the log file for the full output.' : null);
+    this.detailLogView.setEntries(result.success ? result.entries : [], notice);
+  }
+
+  async openLogFile() {
+    if (!this.currentDetailServer) return;
+    const result = await ipcRenderer.invoke('open-log-file', this.currentDetailServer.id, this.viewingRunId);
+    if (!result.success) alert(`Failed to open log file: ${result.error}`);
+  }
+
+  // The main process asks where to save and reveals the bundle in Finder; secrets are always masked
+  async exportDiagnostics(serverId, button) {
+    const originalHtml = button.innerHTML;
+    button.innerHTML = NOW_SAVING_SPAN;
+    button.disabled = true;
+    try {
+      const result = await ipcRenderer.invoke('export-diagnostics', serverId);
+      if (result.success) {
+        this.setStatusMessage('Diagnostics exported.', { ttlMs: 2000 });
+      } else if (!result.canceled) {
+        alert(`Failed to export diagnostics: ${result.error}`);
+      }
+    } catch (error) {
+      alert(`Failed to export diagnostics: ${error.message}`);
+    } finally {
+      this.restoreButtonHtml(button, originalHtml);
+    }
+  }
+
+  // Relative paths are resolved against the server's directory in the main process
+  async openInEditor(serverId, location) {
+    const result = await ipcRenderer.invoke('open-in-editor', serverId, location);
+    if (!result.success) alert(`Failed to open in editor: ${result.error}`);
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // PTY-mode servers get a real terminal emulator; keystrokes are forwarded to the process
+  async setupTerminalView(server) {
+    const toggle = document.getElementById('log-view-toggle');
+    const container = document.getElementById('terminal-container');
+    const ptyConfig = server.pty || {};
+
+    const terminalButton = toggle.querySelector('[data-view="terminal"]');
+    toggle.querySelector('[data-view="shell"]').style.display = typeof window.Terminal === 'function' ? '' : 'none';
+
+    if (!ptyConfig.enabled || typeof window.Terminal !== 'function') {
+      if (ptyConfig.enabled) console.warn('xterm.js is not loaded; falling back to the plain log view.');
+      this.disposeTerminal();
+      terminalButton.style.display = 'none';
+      this.setLogView(this.logView === 'shell' ? 'shell' : 'log');
+      return;
+    }
+
+    if (this.terminal && this.terminal.serverId === server.id) {
+      this.terminal.resize(ptyConfig.cols, ptyConfig.rows);
+    } else {
+      this.disposeTerminal();
+      const terminal = new window.Terminal({
+        cols: ptyConfig.cols,
+        rows: ptyConfig.rows,
+        fontFamily: "'SF Mono', Monaco, monospace",
+        fontSize: 11,
+        scrollback: 5000,
+        theme: { background: '#1e1e1e', foreground: '#d4d4d4' }
+      });
+      terminal.serverId = server.id;
+      terminal.open(container);
+      terminal.onData(data => ipcRenderer.send('terminal-input', server.id, data));
+      this.terminal = terminal;
+
+      const buffer = await ipcRenderer.invoke('get-terminal-buffer', server.id);
+      if (this.terminal === terminal && buffer) terminal.write(buffer);
+    }
+
+    terminalButton.style.display = '';
+    this.setLogView(['log', 'shell'].includes(this.logView) ? this.logView : 'terminal');
+  }
+
+  setLogView(view) {
+    let active = view;
+    if (active === 'terminal' && !this.terminal) active = 'log';
+    if (active === 'shell' && (!this.currentDetailServer || typeof window.Terminal !== 'function')) active = 'log';
+    // Remember "terminal" as the preferred view even while a non-PTY server falls back to the log
+    if (active === view) this.logView = view;
+
+    document.getElementById('terminal-container').style.display = active === 'terminal' ? '' : 'none';
+    document.getElementById('shell-container').style.display = active === 'shell' ? '' : 'none';
+    document.getElementById('log-container').style.display = active === 'log' ? '' : 'none';
+    document.getElementById('log-toolbar').style.display = active === 'log' ? '' : 'none';
+    document.getElementById('stdin-form').style.display = active === 'shell' ? 'none' : '';
+    document.querySelectorAll('#log-view-toggle .toggle-button').forEach(button => {
+      button.classList.toggle('active', button.dataset.view === active);
+    });
+
+    if (active === 'terminal') this.terminal.focus();
+    if (active === 'shell') this.openShellView(this.currentDetailServer);
+  }
+
+  // Embedded shell: a PTY shell in the server's directory with the exact env the server is started with.
+  // The session lives in the main process, so it survives closing the modal and its output is replayed.
+  async openShellView(server) {
+    if (this.shellTerminal && this.shellTerminal.serverId === server.id && !this.shellTerminal.exited) {
+      this.shellTerminal.focus();
+      return;
+    }
+
+    const created = !this.shellTerminal || this.shellTerminal.serverId !== server.id;
+    if (created) {
+      this.disposeShellView();
+      const ptyConfig = server.pty || {};
+      const terminal = new window.Terminal({
+        cols: ptyConfig.cols || 120,
+        rows: ptyConfig.rows || 30,
+        fontFamily: "'SF Mono', Monaco, monospace",
+        fontSize: 11,
+        scrollback: 5000,
+        theme: { background: '#1e1e1e', foreground: '#d4d4d4' }
+      });
+      terminal.serverId = server.id;
+      terminal.open(document.getElementById('shell-container'));
+      terminal.onData(data => {
+        if (terminal.exited) {
+          this.openShellView(server);
+        } else {
+          ipcRenderer.send('shell-input', server.id, data);
+        }
+      });
+      this.shellTerminal = terminal;
+    }
+
+    const terminal = this.shellTerminal;
+    terminal.exited = false;
+    const result = await ipcRenderer.invoke('open-shell', server.id);
+    if (this.shellTerminal !== terminal) return;
+    if (!result.success) {
+      terminal.exited = true;
+      terminal.write(`\x1b[31mFailed to open shell: ${result.error}\x1b[0m\r\n`);
+      return;
+    }
+    // A fresh xterm replays the running session's output; a restarted session only shows its own
+    if (result.buffer && (created || !result.reused)) {
+      terminal.write(result.buffer);
+    }
+    terminal.focus();
+  }
+
+  disposeShellView() {
+    if (!this.shellTerminal) return;
+    this.shellTerminal.dispose();
+    this.shellTerminal = null;
+    document.getElementById('shell-container').innerHTML = '';
+  }
+
+  disposeTerminal() {
+    if (!this.terminal) return;
+    this.terminal.dispose();
+    this.terminal = null;
+    document.getElementById('terminal-container').innerHTML = '';
+  }
+
+  populateEnvironment(server) {
+    const list = document.getElementById('detail-env-list');
+    if (list) list.innerHTML = '';
+    Object.entries(server.env || {}).forEach(([key, value]) => this.addEnvRow(key, value));
+    document.getElementById('detail-env-files').value = (server.envFiles || []).join('\n');
+
+    const effective = document.getElementById('effective-env');
+    effective.style.display = 'none';
+    effective.innerHTML = '';
+  }
+
+  addEnvRow(key, value) {
+    const list = document.getElementById('detail-env-list');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'env-row';
+    row.innerHTML = `
+      <input type="text" class="env-key" placeholder="KEY" spellcheck="false">
+      <input type="text" class="env-value" placeholder="value" spellcheck="false">
+      <button class="small-icon-button" title="Remove">×</button>
+    `;
+    row.querySelector('.env-key').value = key;
+    row.querySelector('.env-value').value = value;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    list.appendChild(row);
+    return row;
+  }
+
+  async saveEnvironment() {
+    const env = {};
+    const rows = document.querySelectorAll('#detail-env-list .env-row');
+    for (const row of rows) {
+      const key = row.querySelector('.env-key').value.trim();
+      const value = row.querySelector('.env-value').value;
+      if (!key && !value) continue;
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        alert(`Invalid variable name: ${key || '(empty)'}`);
+        return;
+      }
+      env[key] = value;
+    }
+
+    const envFiles = document.getElementById('detail-env-files').value
+      .split('\n')
+      .map(file => file.trim())
+      .filter(Boolean);
+
+    const result = await this.saveServerConfig({ env, envFiles }, document.getElementById('save-env-btn'));
+    if (result.success) {
+      const running = this.currentDetailServer && ['running', 'starting', 'unhealthy'].includes(this.currentDetailServer.status);
+      if (running) {
+        this.setStatusMessage('Environment saved. Restart the server to apply it.', { ttlMs: 4000 });
+      }
+      if (document.getElementById('effective-env').style.display !== 'none') {
+        await this.renderEffectiveEnv();
+      }
+    }
+  }
+
+  async toggleEffectiveEnv() {
+    const container = document.getElementById('effective-env');
+    if (container.style.display !== 'none') {
+      container.style.display = 'none';
+      return;
+    }
+    await this.renderEffectiveEnv();
+  }
+
+  // Final environment the process receives, with the layer each value came from
+  async renderEffectiveEnv() {
+    if (!this.currentDetailServer) return;
+    const container = document.getElementById('effective-env');
+    const result = await ipcRenderer.invoke('get-effective-env', this.currentDetailServer.id);
+    if (!result.success) {
+      alert('Failed to load environment: ' + (result.error || 'Unknown error'));
+      return;
+    }
+
+    const warnings = (result.warnings || [])
+      .map(warning => `<div class="effective-env-warning">${this.escapeHtml(warning)}</div>`)
+      .join('');
+    const rows = result.entries.map(entry => `
+      <tr class="${entry.source === 'inherited' ? '' : 'env-overridden'}">
+        <td>${this.escapeHtml(entry.key)}</td>
+        <td>${this.escapeHtml(entry.value)}</td>
+        <td class="env-source">${this.escapeHtml(entry.source)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `${warnings}<table>${rows}</table>`;
+    container.style.display = '';
+  }
+
   cancelFieldEditing(fieldName) {
     const field = document.getElementById(`${fieldName}-field`);
     if (!field) return;
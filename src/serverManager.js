@@ -3,7 +3,20 @@ import EventEmitter from 'events';
 import psList from 'ps-list';
 import Store from 'electron-store';
 import path from 'path';
+import fs from 'fs/promises';
+import net from 'net';
+import http from 'http';
 import { promisify } from 'util';
+import { resolveNodeToolchain } from './nodeToolchain.js';
+import { spawnPty, stripTerminalSequences, DEFAULT_PTY_COLS, DEFAULT_PTY_ROWS } from './ptyProcess.js';
+import { LogFileStore, normalizeLogFiles } from './logFiles.js';
+import { parseStructuredLogLine } from './structuredLog.js';
+import { LineDecoder } from './lineDecoder.js';
+import { LogAlertMonitor, normalizeAlertRules } from './logAlerts.js';
+import { LogRedactor, REDACTED, collectSecretEnvValues, isSecretEnvName, normalizeRedaction } from './logRedaction.js';
+import { SeverityClassifier, normalizeSeverity } from './logSeverity.js';
+import { CrashAnalyzer } from './crashAnalyzer.js';
+import { tokenizeCommand } from './commandLine.js';
 
 const execAsync = promisify(exec);
 
@@ -30,12 +43,483 @@ function isProbablyNonNestDevServer(commandLine) {
   return /\bvite\b|\bwebpack-dev-server\b|\bnext\b|\bnuxt\b|\bstorybook\b/i.test(commandLine);
 }
 
+// 재시작 정책 기본값 (mode: never | on-failure | always)
+const DEFAULT_RESTART_POLICY = {
+  mode: 'never',
+  maxRetries: 5,
+  backoffMs: 1000,
+  maxBackoffMs: 30000,
+  // crashLoopWindowMs 안에 crashLoopThreshold번 이상 종료되면 crash-looping으로 격리 (0이면 비활성)
+  crashLoopThreshold: 5,
+  crashLoopWindowMs: 60000
+};
+
+// 이 시간 이상 정상 동작한 뒤 종료되면 재시작 횟수를 초기화
+const RESTART_RESET_AFTER_MS = 60000;
+
+// 서버별로 보관하는 예기치 않은 종료 기록 수와 각 기록에 남길 마지막 로그 줄 수
+const EXIT_HISTORY_LIMIT = 20;
+const EXIT_HISTORY_LOG_LINES = 15;
+
+// 준비 상태 프로브 기본값 (type: none | tcp | http | log)
+const DEFAULT_READINESS_PROBE = {
+  type: 'none',
+  path: '/',
+  pattern: '',
+  timeoutMs: 60000,
+  intervalMs: 1000
+};
+
+// 주기적 생존 확인 기본값 (type: none | http | tcp | command)
+const DEFAULT_LIVENESS_PROBE = {
+  type: 'none',
+  path: '/',
+  command: '',
+  intervalMs: 10000,
+  timeoutMs: 5000,
+  failureThreshold: 3,
+  restartOnUnhealthy: false
+};
+
+// 프로세스가 살아있는 상태 (리소스 모니터링/재시작 대상)
+const ACTIVE_STATUSES = new Set(['running', 'starting', 'unhealthy']);
+
+// 서버별 라이프사이클 훅 (server.path에서 실행되는 셸 명령)
+const LIFECYCLE_HOOKS = ['preStart', 'postStart', 'preStop', 'postStop'];
+const STOP_HOOK_TIMEOUT_MS = 30000; // preStop/postStop이 종료/앱 종료를 무한정 막지 않도록 제한
+
+// 서버별로 저장/수정 가능한 부가 설정 키 (manualServers, dynamicConfig에 함께 저장)
+const SERVER_CONFIG_FIELDS = [
+  'restartPolicy', 'readinessProbe', 'livenessProbe', 'dependsOn', 'env', 'envFiles', 'nodeVersion', 'launch', 'stopPolicy',
+  'pty', 'logFiles', 'stripAnsiColors', 'alertRules', 'redaction', 'severity', ...LIFECYCLE_HOOKS
+];
+
+// 종료 정책: signal 전송 후 gracePeriodMs마다 escalation 신호를 차례로 보내며, 마지막은 항상 SIGKILL
+const STOP_SIGNALS = ['SIGTERM', 'SIGINT', 'SIGQUIT', 'SIGHUP', 'SIGUSR2', 'SIGKILL'];
+const DEFAULT_STOP_POLICY = {
+  signal: 'SIGTERM',
+  gracePeriodMs: 5000,
+  escalation: ['SIGKILL']
+};
+const KILL_CONFIRM_MS = 2000; // SIGKILL 후 종료 확인 대기 시간
+
+// PTY 모드: node-pty로 실행해 TTY를 감지하는 도구(Vite, Jest watch 등)의 색상/대화형 입력을 유지
+const TERMINAL_BUFFER_LIMIT = 256 * 1024; // 상세 화면을 다시 열 때 재생할 터미널 출력 (문자 수)
+const TERMINAL_REDACT_HOLD_MS = 50; // 마스킹 중 줄바꿈 없이 끝난 터미널 출력(프롬프트 등)을 붙잡아 두는 시간
+const SHELL_BUFFER_LIMIT = 64 * 1024;
+const MAX_LOG_MESSAGE_LENGTH = 2000;
+const SECRET_REVEAL_MS = 60 * 1000; // 마스킹 해제(Reveal)는 잠시만 유지
+const RESOURCE_SAMPLE_LIMIT = 150; // 진단 정보용 CPU/메모리 기록 (2초 간격, 약 5분)
+const PROCESS_TREE_LIMIT = 25; // 포트/진단 조회 대상 PID 수 제한
+const CRASH_ANALYSIS_LOG_LINES = 50; // 종료 원인 진단에 쓰는 마지막 로그 줄 수
+const INSTALL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// 내장 셸은 startServer와 같은 환경을 그대로 쓰도록 rc/profile 파일을 읽지 않음
+function getShellArgs(shell) {
+  const name = path.basename(shell);
+  if (name === 'bash') return ['--noprofile', '--norc', '-i'];
+  if (name === 'zsh') return ['--no-rcs', '-i'];
+  return ['-i'];
+}
+
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function normalizeRestartPolicy(policy) {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  const mode = ['never', 'on-failure', 'always'].includes(source.mode) ? source.mode : DEFAULT_RESTART_POLICY.mode;
+  const toNonNegativeInt = (value, fallback) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 ? n : fallback;
+  };
+  const backoffMs = toNonNegativeInt(source.backoffMs, DEFAULT_RESTART_POLICY.backoffMs);
+  return {
+    mode,
+    maxRetries: toNonNegativeInt(source.maxRetries, DEFAULT_RESTART_POLICY.maxRetries),
+    backoffMs,
+    maxBackoffMs: Math.max(backoffMs, toNonNegativeInt(source.maxBackoffMs, DEFAULT_RESTART_POLICY.maxBackoffMs)),
+    crashLoopThreshold: Math.min(EXIT_HISTORY_LIMIT, toNonNegativeInt(source.crashLoopThreshold, DEFAULT_RESTART_POLICY.crashLoopThreshold)),
+    crashLoopWindowMs: toNonNegativeInt(source.crashLoopWindowMs, DEFAULT_RESTART_POLICY.crashLoopWindowMs)
+  };
+}
+
+function normalizeReadinessProbe(probe) {
+  const source = probe && typeof probe === 'object' ? probe : {};
+  const type = ['none', 'tcp', 'http', 'log'].includes(source.type) ? source.type : DEFAULT_READINESS_PROBE.type;
+  const toPositiveInt = (value, fallback) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+  };
+  const rawPath = typeof source.path === 'string' ? source.path.trim() : '';
+  return {
+    type,
+    path: rawPath ? (rawPath.startsWith('/') ? rawPath : `/${rawPath}`) : DEFAULT_READINESS_PROBE.path,
+    pattern: typeof source.pattern === 'string' ? source.pattern : DEFAULT_READINESS_PROBE.pattern,
+    timeoutMs: toPositiveInt(source.timeoutMs, DEFAULT_READINESS_PROBE.timeoutMs),
+    intervalMs: toPositiveInt(source.intervalMs, DEFAULT_READINESS_PROBE.intervalMs)
+  };
+}
+
+function normalizeLivenessProbe(probe) {
+  const source = probe && typeof probe === 'object' ? probe : {};
+  const type = ['none', 'http', 'tcp', 'command'].includes(source.type) ? source.type : DEFAULT_LIVENESS_PROBE.type;
+  const toPositiveInt = (value, fallback) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+  };
+  const rawPath = typeof source.path === 'string' ? source.path.trim() : '';
+  return {
+    type,
+    path: rawPath ? (rawPath.startsWith('/') ? rawPath : `/${rawPath}`) : DEFAULT_LIVENESS_PROBE.path,
+    command: typeof source.command === 'string' ? source.command.trim() : DEFAULT_LIVENESS_PROBE.command,
+    intervalMs: Math.max(1000, toPositiveInt(source.intervalMs, DEFAULT_LIVENESS_PROBE.intervalMs)),
+    timeoutMs: toPositiveInt(source.timeoutMs, DEFAULT_LIVENESS_PROBE.timeoutMs),
+    failureThreshold: toPositiveInt(source.failureThreshold, DEFAULT_LIVENESS_PROBE.failureThreshold),
+    restartOnUnhealthy: source.restartOnUnhealthy === true
+  };
+}
+
+function normalizeEnv(env) {
+  const normalized = {};
+  if (!env || typeof env !== 'object') return normalized;
+  Object.entries(env).forEach(([key, value]) => {
+    const trimmedKey = String(key).trim();
+    if (!ENV_KEY_PATTERN.test(trimmedKey)) return;
+    normalized[trimmedKey] = value === null || value === undefined ? '' : String(value);
+  });
+  return normalized;
+}
+
+function normalizeEnvFiles(envFiles) {
+  if (!Array.isArray(envFiles)) return [];
+  return envFiles.map(file => String(file || '').trim()).filter(Boolean);
+}
+
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+// .env 파일 파싱 (KEY=VALUE, export 접두사, 따옴표, 주석 지원 / ${VAR} 치환은 지원하지 않음)
+function parseDotEnv(content) {
+  const vars = {};
+  const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+    const key = match[1];
+    let value = match[2];
+
+    const quote = value[0];
+    if (quote === '"' || quote === "'" || quote === '`') {
+      // 닫는 따옴표가 나올 때까지 여러 줄 값 허용
+      let body = value.slice(1);
+      let end = findClosingQuote(body, quote);
+      while (end === -1 && i + 1 < lines.length) {
+        body += `\n${lines[++i]}`;
+        end = findClosingQuote(body, quote);
+      }
+      value = end === -1 ? body : body.slice(0, end);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r').replace(/\\t/g, '\t').replace(/\\"/g, '"');
+      }
+    } else {
+      // 따옴표 없는 값은 ' #' 이후를 주석으로 처리
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+    vars[key] = value;
+  }
+  return vars;
+}
+
+function normalizeDependsOn(dependsOn, selfId = null) {
+  if (!Array.isArray(dependsOn)) return [];
+  const ids = dependsOn.filter(id => typeof id === 'string' && id && id !== selfId);
+  return [...new Set(ids)];
+}
+
+// 저장된 설정을 메모리용으로 정규화 (기본값 채움)
+function normalizeHooks(config) {
+  const hooks = {};
+  LIFECYCLE_HOOKS.forEach(hookName => {
+    hooks[hookName] = typeof config[hookName] === 'string' ? config[hookName].trim() : '';
+  });
+  return hooks;
+}
+
+function normalizeStopPolicy(policy) {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  const signal = STOP_SIGNALS.includes(source.signal) ? source.signal : DEFAULT_STOP_POLICY.signal;
+  const gracePeriodMs = Number(source.gracePeriodMs);
+
+  // SIGKILL 이후 단계는 의미가 없으므로 잘라내고, 빠져 있으면 마지막에 추가
+  const escalation = (Array.isArray(source.escalation) ? source.escalation : DEFAULT_STOP_POLICY.escalation)
+    .filter(step => STOP_SIGNALS.includes(step));
+  const killIndex = escalation.indexOf('SIGKILL');
+  const steps = killIndex === -1 ? [...escalation, 'SIGKILL'] : escalation.slice(0, killIndex + 1);
+
+  return {
+    signal,
+    gracePeriodMs: Number.isFinite(gracePeriodMs) && gracePeriodMs >= 0 ? Math.min(gracePeriodMs, 600000) : DEFAULT_STOP_POLICY.gracePeriodMs,
+    escalation: signal === 'SIGKILL' ? [] : steps
+  };
+}
+
+// 프로세스 그룹에 신호 전송 (그룹이 아니면 단일 PID로 재시도)
+function signalProcessGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (e) {
+    if (e.code === 'ESRCH') return false;
+    try {
+      process.kill(pid, signal);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+}
+
+function isPidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code !== 'ESRCH';
+  }
+}
+
+// 종료 정책에 따라 프로세스 그룹을 종료하고 종료 여부를 반환
+// control.forced가 true가 되면 남은 유예 시간을 건너뛰고 즉시 SIGKILL
+export async function terminateProcessGroup(pid, policy, { isAlive = () => isPidAlive(pid), onSignal = null, control = null } = {}) {
+  const { signal, gracePeriodMs, escalation } = normalizeStopPolicy(policy);
+  const steps = [signal, ...escalation];
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = control?.forced ? 'SIGKILL' : steps[index];
+    onSignal?.(step, index);
+    signalProcessGroup(pid, step);
+
+    const deadline = Date.now() + (step === 'SIGKILL' ? KILL_CONFIRM_MS : gracePeriodMs);
+    while (Date.now() < deadline && isAlive()) {
+      if (control?.forced && step !== 'SIGKILL') break;
+      await new Promise(r => setTimeout(r, 100));
+    }
+    if (!isAlive()) return true;
+    if (step === 'SIGKILL') break;
+    if (control?.forced) index = steps.length - 2; // 다음 반복에서 SIGKILL
+  }
+  return !isAlive();
+}
+
+// 너무 긴 출력 줄은 버리지 않고 잘라서 기록 (addLog는 MAX_LOG_MESSAGE_LENGTH를 넘는 메시지를 무시)
+function truncateLogText(text) {
+  return text.length > MAX_LOG_MESSAGE_LENGTH ? `${text.slice(0, MAX_LOG_MESSAGE_LENGTH - 1)}…` : text;
+}
+
+function normalizePty(ptyConfig) {
+  const source = ptyConfig && typeof ptyConfig === 'object' ? ptyConfig : {};
+  const clamp = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isInteger(n) ? Math.min(Math.max(n, min), max) : fallback;
+  };
+  return {
+    enabled: source.enabled === true,
+    cols: clamp(source.cols, 20, 500, DEFAULT_PTY_COLS),
+    rows: clamp(source.rows, 5, 200, DEFAULT_PTY_ROWS)
+  };
+}
+
+function normalizeServerConfig(config) {
+  return {
+    restartPolicy: normalizeRestartPolicy(config.restartPolicy),
+    readinessProbe: normalizeReadinessProbe(config.readinessProbe),
+    livenessProbe: normalizeLivenessProbe(config.livenessProbe),
+    dependsOn: normalizeDependsOn(config.dependsOn, config.id),
+    env: normalizeEnv(config.env),
+    envFiles: normalizeEnvFiles(config.envFiles),
+    nodeVersion: typeof config.nodeVersion === 'string' ? config.nodeVersion.trim() : '',
+    launch: normalizeLaunch(config.launch),
+    stopPolicy: normalizeStopPolicy(config.stopPolicy),
+    pty: normalizePty(config.pty),
+    logFiles: normalizeLogFiles(config.logFiles),
+    stripAnsiColors: config.stripAnsiColors === true,
+    alertRules: normalizeAlertRules(config.alertRules),
+    redaction: normalizeRedaction(config.redaction),
+    severity: normalizeSeverity(config.severity),
+    ...normalizeHooks(config)
+  };
+}
+
+// 로그인 셸은 프로파일(nvm.sh 등)이 PATH를 다시 바꿀 수 있으므로 프로파일 로드 후 서버별 Node 경로를 다시 앞에 둠
+function withNodeBinPath(commandLine, nodeBinDir) {
+  if (!nodeBinDir) return commandLine;
+  return `export PATH='${nodeBinDir.replace(/'/g, `'\\''`)}':"$PATH"; ${commandLine}`;
+}
+
+// 실행 방식
+//   login-shell: <shell> -lc 'exec <command>' (기존 동작, 프로파일 로드)
+//   shell:       <shell> -c 'exec <command>'  (프로파일 미로드)
+//   direct:      셸 없이 따옴표를 해석해 토큰화한 argv로 직접 실행
+const LAUNCH_MODES = ['login-shell', 'shell', 'direct'];
+const DEFAULT_LAUNCH = {
+  mode: 'login-shell',
+  shell: '/bin/bash'
+};
+
+function normalizeLaunch(launch) {
+  const source = launch && typeof launch === 'object' ? launch : {};
+  const shell = typeof source.shell === 'string' && source.shell.trim() ? source.shell.trim() : DEFAULT_LAUNCH.shell;
+  return {
+    mode: LAUNCH_MODES.includes(source.mode) ? source.mode : DEFAULT_LAUNCH.mode,
+    // 'zsh'처럼 이름만 입력하면 /bin 아래 셸로 간주
+    shell: shell.includes('/') ? shell : `/bin/${shell}`
+  };
+}
+
+// 서버 실행 argv 구성. direct 모드의 앞쪽 KEY=VALUE 토큰은 환경변수로 전달
+function buildLaunchArgv(server, nodeBinDir = null) {
+  const launch = normalizeLaunch(server.launch);
+  if (launch.mode === 'direct') {
+    const tokens = tokenizeCommand(server.command);
+    const env = {};
+    while (tokens.length > 1 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(tokens[0])) {
+      const assignment = tokens.shift();
+      const separator = assignment.indexOf('=');
+      env[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+    }
+    if (tokens.length === 0) throw new Error('Command is empty');
+    return { file: tokens[0], args: tokens.slice(1), env };
+  }
+
+  // exec 래핑: 셸 PID가 실제 서버 PID로 승계되도록 함
+  return { ...buildShellArgv(launch, `exec ${server.command}`, nodeBinDir), env: {} };
+}
+
+// 셸 명령(훅 등) 실행 argv. direct 모드 서버의 훅은 프로파일 없이 셸로 실행
+function buildShellArgv(launch, commandLine, nodeBinDir = null) {
+  const { mode, shell } = normalizeLaunch(launch);
+  if (mode === 'login-shell') {
+    return { file: shell, args: ['-lc', withNodeBinPath(commandLine, nodeBinDir)] };
+  }
+  return { file: shell, args: ['-c', commandLine] };
+}
+
+// 의존성 그래프(id -> 의존 id 목록)에서 순환을 찾아 경로를 반환 (없으면 null)
+function findDependencyCycle(graph) {
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of graph.get(id) || []) {
+      if (!graph.has(dep)) continue;
+      if (state.get(dep) === 'visiting') {
+        return [...stack.slice(stack.indexOf(dep)), dep];
+      }
+      if (!state.has(dep)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of graph.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+// TCP 연결이 성립하면 true
+function probeTcp(port, timeoutMs = 1000) {
+  return new Promise(resolve => {
+    const socket = net.connect({ port, host: 'localhost' });
+    const done = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+// HTTP GET 응답이 2xx면 true
+function probeHttp(port, urlPath, timeoutMs = 2000) {
+  return new Promise(resolve => {
+    const req = http.get({ host: 'localhost', port, path: urlPath, timeout: timeoutMs }, (res) => {
+      res.resume();
+      resolve(res.statusCode >= 200 && res.statusCode < 300);
+    });
+    req.once('timeout', () => req.destroy());
+    req.once('error', () => resolve(false));
+  });
+}
+
+// 프로젝트의 lock 파일로 고른 패키지 매니저의 install 명령 (없으면 npm)
+async function detectInstallCommand(projectPath) {
+  const managers = [['pnpm-lock.yaml', 'pnpm install'], ['yarn.lock', 'yarn install'], ['bun.lockb', 'bun install'], ['bun.lock', 'bun install']];
+  for (const [lockFile, command] of managers) {
+    try {
+      await fs.access(path.join(projectPath || '', lockFile));
+      return command;
+    } catch {
+      // 다음 lock 파일 확인
+    }
+  }
+  return 'npm install';
+}
+
+// 설정 객체에서 서버별 부가 설정만 추출 (값이 없는 키는 제외)
+export function pickServerConfig(source) {
+  const picked = {};
+  if (!source) return picked;
+  SERVER_CONFIG_FIELDS.forEach(key => {
+    if (source[key] !== undefined) picked[key] = source[key];
+  });
+  return picked;
+}
+
 class ServerManager extends EventEmitter {
-  constructor() {
+  // options.logDir: 서버별 로그 파일을 저장할 디렉토리 (없으면 메모리에만 보관)
+  constructor(options = {}) {
     super();
     this.servers = new Map();
     this.processes = new Map();
     this.logs = new Map();
+    this.restartTimers = new Map();
+    this.exitHistory = new Map();
+    this.readinessMatchers = new Map();
+    this.livenessTimers = new Map();
+    this.launchingServers = new Set(); // spawn 전 비동기 준비 중인 서버 (중복 시작 방지)
+    this.hookProcesses = new Map(); // `${serverId}:${hookName}` -> { serverId, hookName, child, promise }
+    this.stopControls = new Map(); // 종료 진행 중인 서버 -> { forced } (Force Kill now 용)
+    this.terminalBuffers = new Map(); // PTY 모드 서버의 터미널 출력 (마스킹이 켜져 있으면 마스킹된 내용)
+    this.terminalPending = new Map(); // serverId -> { text, timer } 마스킹 전에 줄 끝을 기다리는 터미널 출력
+    this.shellSessions = new Map(); // 서버별 내장 셸 (PTY) -> { shell, buffer, opening } (띄우는 중이면 shell은 null)
+    this.logFiles = options.logDir ? new LogFileStore(options.logDir) : null;
+    this.logAlerts = new LogAlertMonitor();
+    this.globalAlertRules = []; // 모든 서버에 적용되는 알림 규칙 (서버별 규칙은 server.alertRules)
+    this.redactors = new Map(); // serverId -> { redaction, secretValues, redactor }
+    this.secretEnvValues = new Map(); // serverId -> 마지막 실행 환경의 비밀 환경변수 값
+    this.unredactedLogs = new WeakMap(); // 마스킹된 로그 항목 -> 원본 필드 (메모리에만 보관, Reveal용)
+    this.secretRevealUntil = new Map(); // serverId -> 원본 로그를 보여줄 기한 (ms)
+    this.severityClassifier = new SeverityClassifier(); // 일반 텍스트 출력 줄의 레벨 추정
+    this.resourceSamples = new Map(); // serverId -> 최근 [{ timestamp, cpu, memory, processes }]
+    this.crashAnalyzer = new CrashAnalyzer(); // 비정상 종료 원인 진단 (register()로 시그니처 추가)
     this.healthCheckInterval = null;
     this.startHealthCheck();
   }
@@ -65,12 +549,21 @@ class ServerManager extends EventEmitter {
   }
 
   loadServers(serverConfigs) {
+    this.restartTimers.forEach(timer => clearTimeout(timer));
+    this.restartTimers.clear();
     this.servers.clear();
     this.processes.clear();
     this.logs.clear();
+    this.exitHistory.clear();
     serverConfigs.forEach(config => {
       const normalizedPort = normalizePortValue(config.port);
-      this.servers.set(config.id, { ...config, port: normalizedPort, status: 'stopped' });
+      this.servers.set(config.id, {
+        ...config,
+        port: normalizedPort,
+        ...normalizeServerConfig(config),
+        restartCount: 0,
+        status: 'stopped'
+      });
       this.logs.set(config.id, []);
     });
     
@@ -85,7 +578,14 @@ class ServerManager extends EventEmitter {
     manualServers.forEach(config => {
       if (!this.servers.has(config.id)) {
         const normalizedPort = normalizePortValue(config.port);
-        this.servers.set(config.id, { ...config, port: normalizedPort, status: 'stopped', isManual: true });
+        this.servers.set(config.id, {
+          ...config,
+          port: normalizedPort,
+          ...normalizeServerConfig(config),
+          restartCount: 0,
+          status: 'stopped',
+          isManual: true
+        });
         this.logs.set(config.id, []);
       }
     });
@@ -101,6 +601,14 @@ class ServerManager extends EventEmitter {
     if (this.servers.has(serverConfig.id)) {
       throw new Error(`Server with ID '${serverConfig.id}' already exists`);
     }
+
+    // 의존성 검증 (존재하지 않는 서버, 순환 참조)
+    if (serverConfig.dependsOn) {
+      const dependencyError = this.validateDependencies(serverConfig.id, normalizeDependsOn(serverConfig.dependsOn, serverConfig.id));
+      if (dependencyError) {
+        return { success: false, error: dependencyError };
+      }
+    }
     
     // 기본 포트 처리 (입력하지 않으면 3000)
     const rawPort = Number(serverConfig.port);
@@ -115,7 +623,13 @@ class ServerManager extends EventEmitter {
     store.set('manualServers', manualServers);
     
     // 서버 매니저에 추가
-    this.servers.set(normalizedServer.id, { ...normalizedServer, status: 'stopped', isManual: true });
+    this.servers.set(normalizedServer.id, {
+      ...normalizedServer,
+      ...normalizeServerConfig(normalizedServer),
+      restartCount: 0,
+      status: 'stopped',
+      isManual: true
+    });
     this.logs.set(normalizedServer.id, []);
     
     return { success: true };
@@ -128,6 +642,8 @@ class ServerManager extends EventEmitter {
     }
 
     try {
+      this.cancelPendingRestart(serverId);
+
       // 서버가 실행 중이면 먼저 중지
       if (this.processes.has(serverId)) {
         await this.stopServer(serverId);
@@ -137,6 +653,16 @@ class ServerManager extends EventEmitter {
 
       // 런타임 정보 제거 (강제 종료로 남은 PID가 있더라도, 삭제 시에는 더 이상 관리하지 않음)
       this.clearServerRuntime(serverId);
+      this.closeShell(serverId);
+      clearTimeout(this.terminalPending.get(serverId)?.timer);
+      this.terminalPending.delete(serverId);
+      await this.logFiles?.removeServer(serverId);
+      this.logAlerts.clearServer(serverId);
+      this.redactors.delete(serverId);
+      this.secretEnvValues.delete(serverId);
+      this.secretRevealUntil.delete(serverId);
+      this.severityClassifier.clearServer(serverId);
+      this.resourceSamples.delete(serverId);
 
       // 저장소에서 제거
       const store = new Store();
@@ -156,6 +682,7 @@ class ServerManager extends EventEmitter {
       // 메모리에서 제거
       this.servers.delete(serverId);
       this.logs.delete(serverId);
+      this.exitHistory.delete(serverId);
       
       // 리소스 모니터링 정리
       const intervalId = `monitor_${serverId}`;
@@ -188,6 +715,7 @@ class ServerManager extends EventEmitter {
       this.servers.clear();
       this.processes.clear();
       this.logs.clear();
+      this.exitHistory.clear();
 
       // 모든 리소스 모니터링 정리
       Object.keys(this).forEach(key => {
@@ -211,8 +739,29 @@ class ServerManager extends EventEmitter {
     }
 
     try {
+      // 포트 보정: 비어있거나 유효하지 않으면 3000
+      const rawPort = Number(updatedServer.port);
+      const normalizedPort = Number.isInteger(rawPort) && rawPort >= 1000 && rawPort <= 65535 ? rawPort : 3000;
+      const configPatch = pickServerConfig(updatedServer);
+
+      if (configPatch.dependsOn) {
+        configPatch.dependsOn = normalizeDependsOn(configPatch.dependsOn, updatedServer.id);
+        const dependencyError = this.validateDependencies(updatedServer.id, configPatch.dependsOn);
+        if (dependencyError) {
+          return { success: false, error: dependencyError };
+        }
+      }
+
+      // 경로/명령어/포트가 바뀐 경우에만 재시작 (재시작 정책 등 부가 설정은 실행 중에도 바로 반영)
+      const launchChanged = server.path !== updatedServer.path
+        || server.command !== updatedServer.command
+        || server.port !== normalizedPort;
+
       // 서버가 실행 중이면 중지해야 함 (경로나 명령어가 변경되었을 수 있으므로)
-      const wasRunning = server.status === 'running';
+      const wasRunning = launchChanged && ACTIVE_STATUSES.has(server.status);
+      if (launchChanged) {
+        this.cancelPendingRestart(updatedServer.id);
+      }
       if (wasRunning) {
         await this.stopServer(updatedServer.id);
         // 프로세스가 완전히 종료될 시간을 줌
@@ -228,6 +777,7 @@ class ServerManager extends EventEmitter {
         if (serverIndex !== -1) {
           manualServers[serverIndex] = {
             ...manualServers[serverIndex],
+            ...configPatch,
             name: updatedServer.name,
             path: updatedServer.path,
             command: updatedServer.command,
@@ -240,36 +790,42 @@ class ServerManager extends EventEmitter {
         const store = new Store();
         const dynamicConfig = store.get('dynamicConfig');
         if (dynamicConfig) {
+          Object.assign(dynamicConfig, configPatch);
           dynamicConfig.runCommand = updatedServer.command;
           // 동적 설정 포트도 동기화
-          const rawPortCfg = Number(updatedServer.port);
-          const normalizedPortCfg = Number.isInteger(rawPortCfg) && rawPortCfg >= 1000 && rawPortCfg <= 65535 ? rawPortCfg : 3000;
-          dynamicConfig.port = normalizedPortCfg;
+          dynamicConfig.port = normalizedPort;
           store.set('dynamicConfig', dynamicConfig);
         }
       }
 
-      // 포트 보정: 비어있거나 유효하지 않으면 3000
-      const rawPort = Number(updatedServer.port);
-      const normalizedPort = Number.isInteger(rawPort) && rawPort >= 1000 && rawPort <= 65535 ? rawPort : 3000;
-
       // 메모리의 서버 정보 업데이트
       const updatedServerData = {
         ...server,
+        ...configPatch,
         name: updatedServer.name,
         path: updatedServer.path,
         command: updatedServer.command,
         port: normalizedPort,
-        status: 'stopped', // 중지된 상태로 설정
-        pid: null,
-        startTime: null,
-        error: null,
-        cpu: null,
-        memory: null
+        ...normalizeServerConfig({ ...server, ...configPatch })
       };
+      if (launchChanged) {
+        Object.assign(updatedServerData, {
+          status: 'stopped', // 중지된 상태로 설정
+          pid: null,
+          startTime: null,
+          error: null,
+          cpu: null,
+          memory: null
+        });
+      }
 
       this.servers.set(updatedServer.id, updatedServerData);
 
+      // PTY 크기 변경은 실행 중인 터미널에 바로 반영 (PTY 사용 여부 변경은 다음 시작부터)
+      if (configPatch.pty && !launchChanged) {
+        this.resizeTerminal(updatedServer.id, updatedServerData.pty.cols, updatedServerData.pty.rows);
+      }
+
       // 서버가 실행 중이었다면 다시 시작
       if (wasRunning) {
         setTimeout(async () => {
@@ -339,60 +895,125 @@ class ServerManager extends EventEmitter {
     }
   }
 
-  async startServer(serverId) {
+  async startServer(serverId, { autoRestart = false } = {}) {
     const server = this.servers.get(serverId);
-    if (!server || this.processes.has(serverId)) {
+    if (!server || this.processes.has(serverId) || this.launchingServers.has(serverId)) {
       return { success: false, error: 'Server is already running or not found' };
     }
 
+    // 사용자가 직접 시작하면 대기 중인 자동 재시작을 취소하고 재시작 횟수/크래시 루프 판단 구간 초기화
+    if (!autoRestart) {
+      this.cancelPendingRestart(serverId);
+      server.restartCount = 0;
+      server.crashCountResetAt = Date.now();
+    }
+
+    this.launchingServers.add(serverId);
+    // 실행할 때마다 새 로그 파일 (preStart 훅 출력부터 기록 - 시작에 실패해도 원인이 남도록)
+    this.logFiles?.startRun(serverId, server.logFiles);
     try {
       // 포트 점유 확인/종료는 main process(IPC)에서 사용자 확인 후 처리
       // (ServerManager는 UI 컨텍스트가 없어 confirm을 띄울 수 없음)
 
-      const [command, ...args] = server.command.split(' ');
+      const { env: childEnv, warnings: envWarnings, toolchain } = await this.buildChildEnv(server);
+      this.secretEnvValues.set(serverId, collectSecretEnvValues(childEnv, server.redaction));
+      envWarnings.forEach(warning => this.addLog(serverId, 'warn', warning));
+      server.nodeToolchain = toolchain;
+      // direct 모드 토큰화 오류는 preStart 훅 실행 전에 드러나도록 먼저 구성
+      const launchArgv = buildLaunchArgv(server, toolchain.binDir);
+      if (toolchain.binDir) {
+        this.addLog(serverId, 'info', `Using Node ${toolchain.version} (${toolchain.manager}, "${toolchain.requested}" from ${toolchain.source})`);
+      }
 
-      const childEnv = {
-        ...process.env,
-        PATH: process.env.PATH
-      };
-      // PORT 주입: 사용자가 포트를 지정했으면 강제로 설정 (우선순위 부여)
-      if (server.port) {
-        childEnv.PORT = String(server.port);
+      // preStart 훅이 실패하면(또는 그 사이 중지 요청이 오면) 서버를 띄우지 않음
+      if (server.preStart) {
+        server.status = 'starting';
+        server.error = null;
+        server.crashDiagnosis = null;
+        this.emit('server-status-changed', { ...server });
+
+        const hookResult = await this.runHook(serverId, 'preStart', childEnv, { nodeBinDir: toolchain.binDir });
+        if (!hookResult.success || server.status === 'stopping') {
+          const canceled = server.status === 'stopping';
+          server.status = canceled ? 'stopped' : 'error';
+          server.error = canceled ? null : hookResult.error;
+          this.emit('server-status-changed', { ...server });
+          if (canceled) this.addLog(serverId, 'info', 'Start canceled.');
+          return { success: false, error: canceled ? 'Start canceled' : hookResult.error };
+        }
       }
 
-      // exec 래핑: bash -lc 'exec <command>' 로 실행하여 bash PID가 실제 서버 PID로 승계되도록 함
-      const execLine = `exec ${server.command}`;
-      const serverProcess = spawn('/bin/bash', ['-lc', execLine], {
-        cwd: server.path,
-        shell: false,
-        detached: true,
-        env: childEnv
-      });
+      const ptyConfig = normalizePty(server.pty);
+      const serverProcess = ptyConfig.enabled
+        ? await spawnPty(launchArgv.file, launchArgv.args, {
+            cwd: server.path,
+            env: { ...childEnv, ...launchArgv.env },
+            cols: ptyConfig.cols,
+            rows: ptyConfig.rows
+          })
+        : spawn(launchArgv.file, launchArgv.args, {
+            cwd: server.path,
+            shell: false,
+            detached: true,
+            env: { ...childEnv, ...launchArgv.env }
+          });
 
       this.processes.set(serverId, serverProcess);
+      if (serverProcess.isPty) {
+        this.terminalBuffers.set(serverId, '');
+      } else {
+        // 프로세스가 stdin을 닫은 뒤 입력을 보내면 EPIPE가 발생하므로 메인 프로세스가 죽지 않도록 처리
+        serverProcess.stdin?.on('error', (error) => {
+          this.addLog(serverId, 'warn', `stdin closed: ${error.code || error.message}`);
+        });
+      }
 
-      serverProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        this.addLog(serverId, 'info', output);
+      // 스트림별로 줄 단위로 나눠 기록 (청크 경계에서 잘린 줄/UTF-8 문자 처리)
+      // PTY 출력은 줄마다 색상(SGR)만 남기고 나머지 제어 시퀀스를 제거
+      const outputDecoders = ['stdout', 'stderr'].map(stream => new LineDecoder((line, timestamp) => {
+        const output = serverProcess.isPty ? stripTerminalSequences(line, { keepColors: true }) : line;
+        this.addProcessOutput(serverId, stream, output, timestamp);
+        this.readinessMatchers.get(serverId)?.(serverProcess.isPty ? stripTerminalSequences(line) : output);
         // 포트는 로그에서 추출하지 않음 (PID 기반 조회로 동기화)
+      }));
+      const [stdoutDecoder, stderrDecoder] = outputDecoders;
+
+      serverProcess.stdout.on('data', (data) => {
+        // PTY 출력은 터미널 에뮬레이터로 그대로 전달
+        if (serverProcess.isPty) this.appendTerminalOutput(serverId, data.toString());
+        stdoutDecoder.write(data);
       });
 
       serverProcess.stderr.on('data', (data) => {
-        this.addLog(serverId, 'error', data.toString());
+        stderrDecoder.write(data);
       });
 
-      serverProcess.on('close', (code) => {
+      serverProcess.on('close', (code, signal) => {
+        // 줄바꿈 없이 남은 마지막 출력을 종료 메시지보다 먼저 기록
+        outputDecoders.forEach(decoder => decoder.end());
+        if (serverProcess.isPty) this.flushTerminalOutput(serverId);
         const currentServer = this.servers.get(serverId);
+        // stopServer 등에서 먼저 'stopping'으로 전환한 경우는 사용자가 요청한 종료
+        const stopRequested = !currentServer || currentServer.status === 'stopping';
+        const exitDescription = signal ? `Process terminated by ${signal}` : `Process exited with code ${code}`;
         if (currentServer) {
-          currentServer.status = code === 0 ? 'stopped' : 'error';
+          // 준비 상태 프로브 실패로 종료시킨 경우 그 사유를 유지
+          // 요청한 종료는 종료 코드/신호와 관계없이 stopped로 처리
+          const startupError = currentServer.startupError;
+          const failed = Boolean(startupError) || (!stopRequested && code !== 0);
+          currentServer.status = failed ? 'error' : 'stopped';
           currentServer.pid = null;
           currentServer.cpu = null;
           currentServer.memory = null;
-          currentServer.error = code !== 0 ? `Process exited with code ${code}` : null;
+          currentServer.error = startupError || (failed ? exitDescription : null);
+          currentServer.crashDiagnosis = failed ? this.analyzeCrash(serverId) : null;
+          currentServer.ptyActive = false;
           this.emit('server-status-changed', { ...currentServer });
         }
         this.processes.delete(serverId);
         this.clearServerRuntime(serverId);
+        this.stopLivenessCheck(serverId);
+        this.killHook(serverId, 'postStart');
         
         // 리소스 모니터링 정리
         const intervalId = `monitor_${serverId}`;
@@ -401,125 +1022,961 @@ class ServerManager extends EventEmitter {
           delete this[intervalId];
         }
         
-        if (code !== 0) {
-          this.addLog(serverId, 'error', `Process exited with code ${code}`);
+        if (!stopRequested) {
+          this.recordExit(serverId, code);
+        }
+
+        if (stopRequested) {
+          this.addLog(serverId, 'info', `Server stopped (${signal || `exit code ${code}`}).`);
+        } else if (code !== 0) {
+          this.addLog(serverId, 'error', exitDescription);
+        }
+        const diagnosis = currentServer?.crashDiagnosis;
+        if (diagnosis) {
+          this.addLog(serverId, 'info', `Diagnosis: ${diagnosis.summary}${diagnosis.remedy ? ` (suggested fix: ${diagnosis.remedy.label})` : ''}`);
+        }
+
+        // postStop 훅은 종료 원인과 관계없이 실행하고, 끝난 뒤에 자동 재시작 여부를 판단
+        const postStop = this.runHook(serverId, 'postStop', childEnv, { timeoutMs: STOP_HOOK_TIMEOUT_MS, nodeBinDir: toolchain.binDir });
+        if (!stopRequested) {
+          postStop.then(() => {
+            if (this.processes.has(serverId) || this.launchingServers.has(serverId)) return;
+            this.scheduleAutoRestart(serverId, code);
+          });
         }
       });
 
-      serverProcess.on('error', (error) => {
-        const currentServer = this.servers.get(serverId);
-        if (currentServer) {
-          currentServer.status = 'error';
-          currentServer.error = error.message;
-          this.emit('server-status-changed', { ...currentServer });
+      serverProcess.on('error', (error) => {
+        const currentServer = this.servers.get(serverId);
+        if (currentServer) {
+          currentServer.status = 'error';
+          currentServer.error = error.message;
+          this.emit('server-status-changed', { ...currentServer });
+        }
+        this.processes.delete(serverId);
+        this.clearServerRuntime(serverId);
+        this.addLog(serverId, 'error', `Failed to start server: ${error.message}`);
+      });
+
+      // 준비 상태 프로브가 있으면 통과할 때까지 starting 유지
+      const readinessProbe = normalizeReadinessProbe(server.readinessProbe);
+      server.status = readinessProbe.type === 'none' ? 'running' : 'starting';
+      server.pid = serverProcess.pid;
+      server.startTime = new Date();
+      server.error = null;
+      server.startupError = null;
+      server.crashDiagnosis = null;
+      server.ptyActive = Boolean(serverProcess.isPty);
+      const ready = readinessProbe.type === 'none'
+        ? Promise.resolve(true)
+        : this.runReadinessProbe(serverId, serverProcess, readinessProbe);
+      this.startLivenessCheck(serverId, serverProcess);
+
+      // postStart 훅은 서버가 준비된 뒤 실행 (실패해도 서버는 계속 실행)
+      if (server.postStart) {
+        ready.then(isReady => {
+          if (isReady && this.processes.get(serverId) === serverProcess) {
+            this.runHook(serverId, 'postStart', childEnv, { nodeBinDir: toolchain.binDir });
+          }
+        });
+      }
+
+      // 크래시/강제 종료 이후에도 남아있을 수 있는 프로세스 정리를 위해 런타임 PID 저장
+      this.persistServerRuntime(serverId, {
+        id: serverId,
+        name: server.name,
+        path: server.path,
+        command: server.command,
+        rootPid: serverProcess.pid,
+        startedAt: Date.now()
+      });
+
+      this.emit('server-status-changed', { ...server });
+      this.addLog(serverId, 'info', `Server starting with command: "${server.command}" (PID: ${serverProcess.pid})`);
+
+      await this.startResourceMonitoring(serverId);
+
+      // PID 기반으로 리스닝 포트를 주기적으로 조회해 저장값과 다르면 갱신 (로그 파싱 불사용)
+      this.waitAndSyncPortFromPid(serverId, serverProcess.pid, 8000, 250);
+
+      return { success: true };
+    } catch (error) {
+      server.status = 'error';
+      server.error = error.message;
+      this.emit('server-status-changed', { ...server });
+      this.addLog(serverId, 'error', `Failed to start server: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      this.launchingServers.delete(serverId);
+    }
+  }
+
+  // 자식 프로세스 환경변수 구성. 뒤에 오는 항목이 앞의 값을 덮어씀:
+  //   1) 앱 환경(process.env)  2) envFiles (나열 순서대로, server.path 기준 상대 경로)
+  //   3) 서버별 env  4) PORT (포트가 지정된 경우 항상 우선)
+  // 서버별 Node 버전이 결정되면 해당 bin 디렉토리를 이 프로세스의 PATH 맨 앞에만 추가
+  async buildChildEnv(server) {
+    const env = {
+      ...process.env,
+      PATH: process.env.PATH
+    };
+    const sources = {};
+    const warnings = [];
+
+    for (const file of server.envFiles || []) {
+      const filePath = path.resolve(server.path || '', file);
+      try {
+        const vars = parseDotEnv(await fs.readFile(filePath, 'utf8'));
+        Object.entries(vars).forEach(([key, value]) => {
+          env[key] = value;
+          sources[key] = file;
+        });
+      } catch (error) {
+        warnings.push(`Could not load env file ${file}: ${error.code || error.message}`);
+      }
+    }
+
+    Object.entries(server.env || {}).forEach(([key, value]) => {
+      env[key] = value;
+      sources[key] = 'server';
+    });
+
+    const toolchain = await resolveNodeToolchain(server.path, server.nodeVersion, env);
+    if (toolchain.binDir) {
+      env.PATH = env.PATH ? `${toolchain.binDir}${path.delimiter}${env.PATH}` : toolchain.binDir;
+      sources.PATH = `node ${toolchain.version} (${toolchain.manager})`;
+    } else if (toolchain.error) {
+      warnings.push(`${toolchain.error}; using the default node on PATH`);
+    }
+
+    // PORT 주입: 사용자가 포트를 지정했으면 강제로 설정 (우선순위 부여)
+    if (server.port) {
+      env.PORT = String(server.port);
+      sources.PORT = 'port';
+    }
+
+    return { env, sources, warnings, toolchain };
+  }
+
+  // 자식 프로세스가 실제로 받게 될 환경변수 목록 (출처 포함)
+  async getEffectiveEnv(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+
+    const { env, sources, warnings } = await this.buildChildEnv(server);
+    const entries = Object.keys(env).sort().map(key => ({
+      key,
+      value: env[key],
+      source: sources[key] || 'inherited'
+    }));
+    return { success: true, entries, warnings };
+  }
+
+  // 실제로 spawn될 argv 미리보기 (저장 전 설정을 launch로 넘기면 그 설정 기준)
+  async getLaunchPreview(serverId, launch = null) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+
+    const target = launch ? { ...server, launch: normalizeLaunch(launch) } : server;
+    try {
+      const { toolchain } = await this.buildChildEnv(target);
+      const { file, args, env } = buildLaunchArgv(target, toolchain.binDir);
+      return { success: true, argv: [file, ...args], env, cwd: target.path };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 서버에 적용될 Node 툴체인 (시스템 node를 쓰는 경우 PATH상의 버전을 함께 조회)
+  async getNodeToolchain(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+
+    const { env, toolchain } = await this.buildChildEnv(server);
+    let systemVersion = null;
+    if (!toolchain.binDir) {
+      try {
+        const { stdout } = await execAsync('node --version', { env, timeout: 3000 });
+        systemVersion = stdout.trim() || null;
+      } catch {
+        systemVersion = null;
+      }
+    }
+    return { success: true, ...toolchain, systemVersion };
+  }
+
+  // 도움 요청용 진단 정보 (파일 이름 -> 내용). 서버의 마스킹 설정과 상관없이 비밀값은 항상 마스킹
+  // - 환경변수: 비밀처럼 보이는 이름의 값은 통째로, 나머지는 로그와 같은 검출기로
+  // - 프로세스/포트: 포트 탐지에 쓰는 ps/lsof 조회(getCommandLineForPid, listListeningPortsByPid) 결과
+  async collectDiagnostics(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+
+    const { env, warnings } = await this.buildChildEnv(server);
+    const redactor = new LogRedactor({ ...server.redaction, enabled: true }, collectSecretEnvValues(env, server.redaction));
+    const redactEnv = (key, value) => (isSecretEnvName(key, server.redaction) && value ? REDACTED : redactor.redact(value));
+    const formatLog = log => {
+      const stream = log.stream ? ` (${log.stream})` : '';
+      return `${new Date(log.timestamp).toISOString()} [${log.level}]${stream} ${redactor.redact(stripTerminalSequences(String(log.message)))}`;
+    };
+
+    const config = redactor.redactValue({
+      id: server.id,
+      name: server.name,
+      path: server.path,
+      command: server.command,
+      port: server.port,
+      ...pickServerConfig(server)
+    });
+    config.env = Object.fromEntries(Object.entries(config.env || {}).map(([key, value]) => [key, redactEnv(key, value)]));
+
+    const launch = await this.getLaunchPreview(serverId);
+    const nodeToolchain = await this.getNodeToolchain(serverId);
+
+    const processInfo = this.processes.get(serverId);
+    const pid = processInfo?.pid || (server.pid ? Number(server.pid) : null);
+    let processes = { running: false };
+    if (pid && ACTIVE_STATUSES.has(server.status)) {
+      const tree = await this.getProcessTree(pid).catch(() => [{ pid }]);
+      const pids = tree.map(p => p.pid);
+      const commandLines = await Promise.all(pids.map(p => this.getCommandLineForPid(p)));
+      processes = {
+        running: true,
+        pid,
+        pgid: await this.getPgidForPid(pid),
+        tree: tree.map((p, index) => ({
+          pid: p.pid,
+          ppid: p.ppid ?? null,
+          name: p.name || null,
+          commandLine: commandLines[index] ? redactor.redact(commandLines[index]) : null,
+          cpu: p.cpu ?? null,
+          memory: p.memory ?? null
+        })),
+        listeningPorts: await this.listListeningPortsByPid(pids.join(','))
+      };
+    }
+
+    return {
+      success: true,
+      name: server.name,
+      files: {
+        'summary.json': {
+          generatedAt: new Date().toISOString(),
+          platform: `${process.platform} ${process.arch}`,
+          versions: { node: process.versions.node, electron: process.versions.electron || null },
+          server: {
+            id: server.id,
+            name: server.name,
+            status: server.status,
+            pid: server.pid || null,
+            port: server.port || null,
+            uptime: server.startTime ? this.calculateUptime(server.startTime, true) : null,
+            restartCount: server.restartCount || 0,
+            error: server.error ? redactor.redact(server.error) : null,
+            crashDiagnosis: server.crashDiagnosis ? redactor.redactValue(server.crashDiagnosis) : null
+          }
+        },
+        'config.json': config,
+        'environment.json': {
+          entries: Object.keys(env).sort().map(key => ({ key, value: redactEnv(key, env[key]) })),
+          warnings
+        },
+        'toolchain.json': {
+          node: { ...nodeToolchain, success: undefined },
+          launch: launch.success
+            ? { argv: launch.argv.map(arg => redactor.redact(arg)), cwd: launch.cwd }
+            : { error: launch.error }
+        },
+        'logs.txt': this.getLogs(serverId).map(formatLog).join('\n'),
+        'exit-history.json': this.getExitHistory(serverId).map(record => ({
+          ...record,
+          exitedAt: new Date(record.exitedAt).toISOString(),
+          lastLogs: (record.lastLogs || []).map(formatLog)
+        })),
+        'resources.json': this.getResourceSamples(serverId),
+        'processes.json': processes
+      }
+    };
+  }
+
+  // 터미널 화면(xterm)으로 보내는 출력도 화면/재생 버퍼에 들어가기 전에 마스킹
+  // 비밀값이 청크 경계에서 나뉘지 않도록 줄 단위(\n, \r)로 마스킹하고, 줄바꿈 없이 끝난 나머지는 잠시 기다렸다가 마스킹
+  // Reveal은 줄 단위 로그에만 적용 (터미널은 항상 마스킹된 내용)
+  appendTerminalOutput(serverId, data) {
+    const redactor = this.getRedactor(serverId);
+    if (!redactor.enabled) {
+      this.flushTerminalOutput(serverId);
+      this.emitTerminalOutput(serverId, data);
+      return;
+    }
+
+    const pending = this.terminalPending.get(serverId);
+    clearTimeout(pending?.timer);
+    const text = (pending?.text || '') + data;
+    const cut = Math.max(text.lastIndexOf('\n'), text.lastIndexOf('\r')) + 1;
+    if (cut > 0) this.emitTerminalOutput(serverId, redactor.redact(text.slice(0, cut)));
+
+    const rest = text.slice(cut);
+    if (!rest) {
+      this.terminalPending.delete(serverId);
+      return;
+    }
+    this.terminalPending.set(serverId, {
+      text: rest,
+      timer: setTimeout(() => this.flushTerminalOutput(serverId), TERMINAL_REDACT_HOLD_MS)
+    });
+  }
+
+  flushTerminalOutput(serverId) {
+    const pending = this.terminalPending.get(serverId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.terminalPending.delete(serverId);
+    this.emitTerminalOutput(serverId, this.getRedactor(serverId).redact(pending.text));
+  }
+
+  emitTerminalOutput(serverId, data) {
+    const buffer = (this.terminalBuffers.get(serverId) || '') + data;
+    this.terminalBuffers.set(serverId, buffer.length > TERMINAL_BUFFER_LIMIT ? buffer.slice(-TERMINAL_BUFFER_LIMIT) : buffer);
+    this.emit('terminal-data', serverId, data);
+  }
+
+  getTerminalBuffer(serverId) {
+    return this.terminalBuffers.get(serverId) || '';
+  }
+
+  // 서버의 작업 디렉토리/환경변수/Node 버전으로 내장 셸 열기 (이미 열려 있으면 재사용)
+  async openShell(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+
+    const existing = this.shellSessions.get(serverId);
+    if (existing) {
+      // 다른 호출이 셸을 띄우는 중이면 같은 셸을 함께 사용 (PTY를 두 번 만들지 않음)
+      if (existing.opening) {
+        const result = await existing.opening;
+        return result.success ? { success: true, reused: true, buffer: existing.buffer } : result;
+      }
+      return { success: true, reused: true, buffer: existing.buffer };
+    }
+
+    // 첫 await 전에 등록해 두어 연달아 들어온 호출이 위에서 대기하도록 함 (shell은 띄운 뒤 채움)
+    const session = { shell: null, buffer: '', opening: null };
+    this.shellSessions.set(serverId, session);
+    session.opening = this.spawnShellSession(serverId, server, session);
+    const result = await session.opening;
+    session.opening = null;
+    return result;
+  }
+
+  async spawnShellSession(serverId, server, session) {
+    try {
+      // startServer와 동일한 환경 (env 파일, 서버 env, Node 툴체인 PATH, PORT)
+      const { env, warnings } = await this.buildChildEnv(server);
+      const { shell: shellPath } = normalizeLaunch(server.launch);
+      const { cols, rows } = normalizePty(server.pty);
+      const shell = await spawnPty(shellPath, getShellArgs(shellPath), {
+        cwd: server.path,
+        // bash는 PS1(\W), zsh는 PROMPT(%1~)로 현재 디렉터리 이름 표시
+        env: { ...env, PS1: env.PS1 || `[${server.name}] \\W $ `, PROMPT: env.PROMPT || `[${server.name}] %1~ %# ` },
+        cols,
+        rows
+      });
+
+      // 띄우는 사이 closeShell로 닫혔으면 바로 종료
+      if (this.shellSessions.get(serverId) !== session) {
+        if (!signalProcessGroup(shell.pid, 'SIGHUP')) shell.kill('SIGHUP');
+        return { success: false, error: 'Shell was closed' };
+      }
+
+      session.shell = shell;
+      session.buffer = warnings.map(warning => `\x1b[33m${warning}\x1b[0m\r\n`).join('');
+
+      shell.stdout.on('data', (data) => {
+        session.buffer = (session.buffer + data).slice(-SHELL_BUFFER_LIMIT);
+        this.emit('shell-data', serverId, data);
+      });
+      shell.on('close', (code, signal) => {
+        if (this.shellSessions.get(serverId) === session) this.shellSessions.delete(serverId);
+        this.emit('shell-exit', serverId, { code, signal });
+      });
+
+      return { success: true, reused: false, buffer: session.buffer };
+    } catch (error) {
+      if (this.shellSessions.get(serverId) === session) this.shellSessions.delete(serverId);
+      return { success: false, error: error.message };
+    }
+  }
+
+  writeShell(serverId, data) {
+    const session = this.shellSessions.get(serverId);
+    if (!session?.shell) return false;
+    return session.shell.write(String(data));
+  }
+
+  closeShell(serverId) {
+    const session = this.shellSessions.get(serverId);
+    if (!session) return false;
+    this.shellSessions.delete(serverId);
+    // 아직 띄우는 중이면 spawnShellSession이 띄운 직후 종료
+    if (!session.shell) return true;
+    // 셸에서 실행한 작업까지 함께 종료 (세션 설정 전이면 셸 프로세스에만 전달)
+    if (!signalProcessGroup(session.shell.pid, 'SIGHUP')) session.shell.kill('SIGHUP');
+    return true;
+  }
+
+  // 실행 중인 서버의 stdin으로 한 줄 입력 전달 (PTY 모드는 Enter 키로 전송)
+  sendInput(serverId, line) {
+    const serverProcess = this.processes.get(serverId);
+    if (!serverProcess) return { success: false, error: 'Server is not running' };
+
+    const text = String(line ?? '');
+    if (serverProcess.isPty) {
+      serverProcess.write(`${text}\r`);
+    } else {
+      if (!serverProcess.stdin || !serverProcess.stdin.writable) {
+        return { success: false, error: 'stdin is closed' };
+      }
+      serverProcess.stdin.write(`${text}\n`);
+    }
+    this.addLog(serverId, 'input', text || '⏎');
+    return { success: true };
+  }
+
+  // PTY 모드 서버에 키 입력 전달
+  writeTerminal(serverId, data) {
+    const serverProcess = this.processes.get(serverId);
+    if (!serverProcess?.isPty) return false;
+    return serverProcess.write(String(data));
+  }
+
+  resizeTerminal(serverId, cols, rows) {
+    const serverProcess = this.processes.get(serverId);
+    if (!serverProcess?.isPty) return false;
+    const { cols: safeCols, rows: safeRows } = normalizePty({ cols, rows });
+    serverProcess.resize(safeCols, safeRows);
+    return true;
+  }
+
+  // 라이프사이클 훅 실행: server.path에서 서버의 실행 셸로 실행하고 출력은 'hook' 레벨로 서버 로그에 기록
+  // command: 설정된 훅 대신 실행할 명령 (진단 remedy의 install 등)
+  runHook(serverId, hookName, env, { timeoutMs = 0, nodeBinDir = null, command = this.servers.get(serverId)?.[hookName] } = {}) {
+    const server = this.servers.get(serverId);
+    if (!command) return Promise.resolve({ success: true, skipped: true });
+
+    const key = `${serverId}:${hookName}`;
+    const startedAt = Date.now();
+    this.addLog(serverId, 'hook', `[${hookName}] $ ${command}`);
+    server.activeHook = hookName;
+    this.emit('server-status-changed', { ...server });
+
+    // detached: 훅이 띄운 하위 프로세스까지 프로세스 그룹 단위로 정리하기 위함
+    const hookArgv = buildShellArgv(server.launch, command, nodeBinDir);
+    const child = spawn(hookArgv.file, hookArgv.args, {
+      cwd: server.path,
+      shell: false,
+      detached: true,
+      env
+    });
+
+    const promise = new Promise(resolve => {
+      let timedOut = false;
+      let settled = false;
+      const timeoutTimer = timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            this.killHook(serverId, hookName);
+          }, timeoutMs)
+        : null;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        if (this.hookProcesses.get(key)?.child === child) this.hookProcesses.delete(key);
+        const current = this.servers.get(serverId);
+        if (current && current.activeHook === hookName) {
+          current.activeHook = null;
+          this.emit('server-status-changed', { ...current });
+        }
+        resolve(result);
+      };
+
+      const onData = (data) => {
+        data.toString().split('\n')
+          .filter(line => line.trim())
+          .forEach(line => this.addLog(serverId, 'hook', `[${hookName}] ${line}`));
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+
+      child.on('error', (error) => {
+        const message = `${hookName} hook could not run: ${error.message}`;
+        this.addLog(serverId, 'error', message);
+        finish({ success: false, error: message });
+      });
+
+      child.on('close', (code, signal) => {
+        if (code === 0) {
+          this.addLog(serverId, 'hook', `[${hookName}] completed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+          finish({ success: true });
+          return;
+        }
+        const message = timedOut
+          ? `${hookName} hook timed out after ${Math.round(timeoutMs / 1000)}s`
+          : `${hookName} hook failed (${signal ? `signal ${signal}` : `exit code ${code}`})`;
+        this.addLog(serverId, 'error', message);
+        finish({ success: false, error: message });
+      });
+    });
+
+    this.hookProcesses.set(key, { serverId, hookName, child, promise });
+    return promise;
+  }
+
+  // 실행 중인 훅을 프로세스 그룹째 강제 종료
+  killHook(serverId, hookName) {
+    const hook = this.hookProcesses.get(`${serverId}:${hookName}`);
+    if (!hook?.child.pid) return false;
+    try {
+      process.kill(-hook.child.pid, 'SIGKILL');
+    } catch (error) {
+      if (error.code !== 'ESRCH') {
+        console.error(`Failed to kill ${hookName} hook for server ${serverId}:`, error);
+      }
+    }
+    return true;
+  }
+
+  // 준비 상태 프로브 실행: 통과하면 running, 제한 시간을 넘기면 error로 전환하고 프로세스 종료
+  runReadinessProbe(serverId, serverProcess, probe) {
+    return new Promise(resolve => {
+      const startedAt = Date.now();
+      let settled = false;
+      let pollTimer = null;
+      let logPattern = null;
+      let patternError = null;
+      if (probe.type === 'log') {
+        // 잘못된 정규식은 모든 출력에 일치시키지 않고 프로브 실패로 처리 (준비되기 전에 running으로 보고하지 않도록)
+        try {
+          logPattern = new RegExp(probe.pattern || '.', 'i');
+        } catch (error) {
+          patternError = `Invalid readiness pattern: ${error.message}`;
+        }
+      }
+
+      // 프로세스 출력(stdout/stderr)만 대상으로 매칭 (ServerManager가 남기는 로그는 제외)
+      const onOutput = (output) => {
+        if (logPattern.test(output)) {
+          finish(true, `output matched /${probe.pattern}/`);
+        }
+      };
+
+      const finish = (ready, detail) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(pollTimer);
+        clearTimeout(deadlineTimer);
+        if (this.readinessMatchers.get(serverId) === onOutput) this.readinessMatchers.delete(serverId);
+
+        // 그 사이 프로세스가 종료/교체되었거나 중지 중이면 상태를 건드리지 않음
+        const server = this.servers.get(serverId);
+        if (!server || this.processes.get(serverId) !== serverProcess || server.status !== 'starting') {
+          resolve(false);
+          return;
+        }
+
+        if (ready) {
+          server.status = 'running';
+          this.emit('server-status-changed', { ...server });
+          this.addLog(serverId, 'info', `Server is ready (${detail}) after ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+        } else {
+          server.status = 'error';
+          server.error = detail;
+          server.startupError = detail;
+          this.emit('server-status-changed', { ...server });
+          this.addLog(serverId, 'error', `${detail}. Terminating process...`);
+          terminateProcessGroup(serverProcess.pid, server.stopPolicy, {
+            isAlive: () => this.processes.get(serverId) === serverProcess
+          });
+        }
+        resolve(ready);
+      };
+
+      const deadlineTimer = setTimeout(() => {
+        finish(false, `Readiness probe (${probe.type}) timed out after ${Math.round(probe.timeoutMs / 1000)}s`);
+      }, probe.timeoutMs);
+
+      if (patternError) {
+        finish(false, patternError);
+        return;
+      }
+
+      if (logPattern) {
+        this.readinessMatchers.set(serverId, onOutput);
+        return;
+      }
+
+      const poll = async () => {
+        if (settled) return;
+        const server = this.servers.get(serverId);
+        if (!server || this.processes.get(serverId) !== serverProcess || server.status !== 'starting') {
+          finish(false);
+          return;
+        }
+
+        // 이번 기동에서 감지된 실제 포트를 우선 사용하고, 아직 없으면 설정 포트로 확인
+        const port = this.getProbePort(server);
+        if (port) {
+          const ok = probe.type === 'tcp' ? await probeTcp(port) : await probeHttp(port, probe.path);
+          if (ok) {
+            finish(true, probe.type === 'tcp' ? `TCP port ${port} accepting connections` : `GET ${probe.path} on port ${port} returned 2xx`);
+            return;
+          }
+        }
+        if (!settled) pollTimer = setTimeout(poll, probe.intervalMs);
+      };
+      pollTimer = setTimeout(poll, probe.intervalMs);
+    });
+  }
+
+  // 프로브 대상 포트: 이번 기동에서 감지된 실제 포트를 우선 사용하고, 아직 없으면 설정 포트
+  getProbePort(server) {
+    const detectedThisRun = server.portDetectedAt && server.portDetectedAt >= new Date(server.startTime).getTime();
+    return (detectedThisRun && normalizePortValue(server.actualPort)) || normalizePortValue(server.port);
+  }
+
+  // 주기적 생존 확인: 연속 실패가 임계값에 도달하면 unhealthy, 다시 성공하면 running으로 복구
+  startLivenessCheck(serverId, serverProcess) {
+    this.stopLivenessCheck(serverId);
+    let consecutiveFailures = 0;
+
+    const tick = async () => {
+      const server = this.servers.get(serverId);
+      if (!server || this.processes.get(serverId) !== serverProcess) {
+        this.livenessTimers.delete(serverId);
+        return;
+      }
+
+      const probe = normalizeLivenessProbe(server.livenessProbe);
+      // 준비 전(starting)이나 중지 중에는 확인하지 않음
+      if (probe.type !== 'none' && (server.status === 'running' || server.status === 'unhealthy')) {
+        const failure = await this.runLivenessProbe(server, probe);
+        const current = this.servers.get(serverId);
+        if (!current || this.processes.get(serverId) !== serverProcess) {
+          this.livenessTimers.delete(serverId);
+          return;
         }
-        this.processes.delete(serverId);
-        this.clearServerRuntime(serverId);
-        this.addLog(serverId, 'error', `Failed to start server: ${error.message}`);
-      });
 
-      server.status = 'running';
-      server.pid = serverProcess.pid;
-      server.startTime = new Date();
-      server.error = null;
+        if (!failure) {
+          consecutiveFailures = 0;
+          if (current.status === 'unhealthy') {
+            current.status = 'running';
+            current.error = null;
+            this.emit('server-status-changed', { ...current });
+            this.addLog(serverId, 'info', 'Liveness check recovered.');
+          }
+        } else {
+          consecutiveFailures++;
+          this.addLog(serverId, 'warn', `Liveness check failed (${consecutiveFailures}/${probe.failureThreshold}): ${failure}`);
+          if (consecutiveFailures >= probe.failureThreshold && current.status === 'running') {
+            current.status = 'unhealthy';
+            current.error = `Liveness check failed ${consecutiveFailures} times: ${failure}`;
+            this.emit('server-status-changed', { ...current });
+
+            if (probe.restartOnUnhealthy) {
+              this.addLog(serverId, 'warn', 'Restarting unhealthy server...');
+              this.livenessTimers.delete(serverId);
+              this.restartServer(serverId).catch(() => {});
+              return;
+            }
+          }
+        }
+      }
 
-      // 크래시/강제 종료 이후에도 남아있을 수 있는 프로세스 정리를 위해 런타임 PID 저장
-      this.persistServerRuntime(serverId, {
-        id: serverId,
-        name: server.name,
-        path: server.path,
-        command: server.command,
-        rootPid: serverProcess.pid,
-        startedAt: Date.now()
-      });
+      if (this.processes.get(serverId) === serverProcess) {
+        this.livenessTimers.set(serverId, setTimeout(tick, probe.intervalMs));
+      }
+    };
 
-      this.emit('server-status-changed', { ...server });
-      this.addLog(serverId, 'info', `Server starting with command: "${server.command}" (PID: ${serverProcess.pid})`);
+    const initialProbe = normalizeLivenessProbe(this.servers.get(serverId)?.livenessProbe);
+    this.livenessTimers.set(serverId, setTimeout(tick, initialProbe.intervalMs));
+  }
 
-      await this.startResourceMonitoring(serverId);
+  stopLivenessCheck(serverId) {
+    const timer = this.livenessTimers.get(serverId);
+    if (timer) {
+      clearTimeout(timer);
+      this.livenessTimers.delete(serverId);
+    }
+  }
 
-      // PID 기반으로 리스닝 포트를 주기적으로 조회해 저장값과 다르면 갱신 (로그 파싱 불사용)
-      this.waitAndSyncPortFromPid(serverId, serverProcess.pid, 8000, 250);
+  // 생존 확인 1회 실행: 정상이면 null, 실패하면 사유 문자열 반환
+  async runLivenessProbe(server, probe) {
+    if (probe.type === 'command') {
+      if (!probe.command) return null;
+      try {
+        // 훅과 같이 서버 실행 환경 (env 파일, 서버 env, Node 툴체인 PATH, PORT)에서 실행
+        const { env } = await this.buildChildEnv(server);
+        await execAsync(probe.command, {
+          cwd: server.path,
+          timeout: probe.timeoutMs,
+          env
+        });
+        return null;
+      } catch (error) {
+        return error.killed ? `command timed out after ${probe.timeoutMs}ms` : `command exited with code ${error.code}`;
+      }
+    }
 
-      return { success: true };
-    } catch (error) {
-      server.status = 'error';
-      server.error = error.message;
-      this.emit('server-status-changed', { ...server });
-      return { success: false, error: error.message };
+    const port = this.getProbePort(server);
+    if (!port) return 'no port to check';
+    if (probe.type === 'tcp') {
+      return (await probeTcp(port, probe.timeoutMs)) ? null : `TCP port ${port} not accepting connections`;
     }
+    return (await probeHttp(port, probe.path, probe.timeoutMs)) ? null : `GET ${probe.path} on port ${port} did not return 2xx`;
   }
 
   async stopServer(serverId) {
+    // 자동 재시작 대기 중이면 예약만 취소
+    if (this.cancelPendingRestart(serverId)) {
+      const server = this.servers.get(serverId);
+      if (server) {
+        server.status = 'stopped';
+        this.emit('server-status-changed', { ...server });
+      }
+      this.addLog(serverId, 'info', 'Pending auto-restart canceled.');
+      return { success: true };
+    }
+
+    // preStart 훅 실행 중이면 훅을 중단하고 시작을 취소 (startServer가 stopped로 정리)
+    if (this.launchingServers.has(serverId) && this.killHook(serverId, 'preStart')) {
+      const server = this.servers.get(serverId);
+      if (server) {
+        server.status = 'stopping';
+        this.emit('server-status-changed', { ...server });
+      }
+      return { success: true };
+    }
+
     const serverProcess = this.processes.get(serverId);
     if (!serverProcess) {
       return { success: false, error: 'Server process not found' };
     }
 
+    const server = this.servers.get(serverId);
+    const stopPolicy = normalizeStopPolicy(server?.stopPolicy);
+    const control = { forced: false };
+    this.stopControls.set(serverId, control);
+
     try {
-      const server = this.servers.get(serverId);
       if (server) {
         server.status = 'stopping';
         this.emit('server-status-changed', { ...server });
       }
 
-      this.addLog(serverId, 'info', 'Stopping server...');
+      this.addLog(serverId, 'info', `Stopping server (${stopPolicy.signal}, grace ${Math.round(stopPolicy.gracePeriodMs / 1000)}s)...`);
 
-      // 1단계: SIGTERM으로 정상 종료 요청
-      try {
-        process.kill(-serverProcess.pid, 'SIGTERM');
-      } catch (killError) {
-        if (killError.code !== 'ESRCH') {
-          throw killError;
-        }
+      // preStop 훅: 실패하거나 시간 초과되어도 종료는 계속 진행
+      this.killHook(serverId, 'postStart');
+      if (server?.preStop) {
+        const { env, toolchain } = await this.buildChildEnv(server);
+        await this.runHook(serverId, 'preStop', env, { timeoutMs: STOP_HOOK_TIMEOUT_MS, nodeBinDir: toolchain.binDir });
       }
 
-      // 프로세스가 정상 종료되기를 기다림
-      await new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-          if (!this.processes.has(serverId)) {
-            clearInterval(checkInterval);
-            resolve();
-          }
-        }, 100);
-
-        // 5초 후 강제 종료
-        setTimeout(() => {
-          clearInterval(checkInterval);
-          if (this.processes.has(serverId)) {
-            try {
-              process.kill(-serverProcess.pid, 'SIGKILL');
-              this.addLog(serverId, 'info', 'Server forcefully killed.');
-            } catch (killError) {
-              if (killError.code !== 'ESRCH') {
-                console.error(`Failed to force kill server ${serverId}:`, killError);
-              }
-            }
-          }
-          resolve();
-        }, 5000);
+      // 정책의 신호로 종료 요청 후 유예 시간마다 다음 신호로 단계적 강제 종료
+      const terminated = await terminateProcessGroup(serverProcess.pid, stopPolicy, {
+        isAlive: () => this.processes.get(serverId) === serverProcess,
+        control,
+        onSignal: (signal, step) => {
+          if (step === 0) return;
+          this.addLog(serverId, 'warn', control.forced
+            ? `Force kill requested, sending ${signal}.`
+            : `Still running after ${Math.round(stopPolicy.gracePeriodMs / 1000)}s, sending ${signal}.`);
+        }
       });
+      if (!terminated) {
+        this.addLog(serverId, 'error', `Process ${serverProcess.pid} did not exit after SIGKILL.`);
+      }
+
+      // 종료 후 실행되는 postStop 훅이 끝날 때까지 대기 (Stop All/앱 종료 시 정리 보장)
+      await this.hookProcesses.get(`${serverId}:postStop`)?.promise;
 
       return { success: true };
     } catch (error) {
-      // 프로세스가 이미 종료된 경우 등
-      if (error.code === 'ESRCH') {
-        this.processes.delete(serverId);
-        const server = this.servers.get(serverId);
-        if (server) {
-          server.status = 'stopped';
-          server.pid = null;
-          server.cpu = null;
-          server.memory = null;
-          this.emit('server-status-changed', { ...server });
-        }
-        this.clearServerRuntime(serverId);
-        return { success: true };
-      }
+      // preStop 훅 준비 실패 등 (terminateProcessGroup은 이미 종료된 프로세스를 종료된 것으로 처리하고 throw하지 않음)
       console.error(`Failed to stop server ${serverId}:`, error);
       this.addLog(serverId, 'error', `Failed to stop server: ${error.message}`);
       return { success: false, error: error.message };
+    } finally {
+      if (this.stopControls.get(serverId) === control) this.stopControls.delete(serverId);
+    }
+  }
+
+  // 종료 중인 서버의 남은 유예 시간을 건너뛰고 즉시 SIGKILL
+  forceKillServer(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+
+    // stopServer 진행 중이면 종료 루프가 즉시 SIGKILL로 넘어가도록 표시
+    const control = this.stopControls.get(serverId);
+    if (control) {
+      control.forced = true;
+      this.killHook(serverId, 'preStop');
+      return { success: true };
+    }
+
+    const pid = this.processes.get(serverId)?.pid || (server.pid ? Number(server.pid) : null);
+    if (!pid) return { success: false, error: 'Server process not found' };
+
+    this.addLog(serverId, 'warn', `Force killing process group ${pid}...`);
+    signalProcessGroup(pid, 'SIGKILL');
+    return { success: true };
+  }
+
+  // 재시작 정책에 따라 종료된 프로세스의 자동 재시작을 예약 (지수 백오프)
+  scheduleAutoRestart(serverId, exitCode) {
+    const server = this.servers.get(serverId);
+    if (!server) return false;
+
+    const policy = normalizeRestartPolicy(server.restartPolicy);
+    if (policy.mode === 'never') return false;
+    if (policy.mode === 'on-failure' && exitCode === 0) return false;
+
+    // 짧은 구간 안에 반복해서 종료되면 재시작을 멈추고 격리 (Resume 전까지 유지)
+    if (policy.crashLoopThreshold > 0) {
+      const windowStart = Math.max(Date.now() - policy.crashLoopWindowMs, server.crashCountResetAt || 0);
+      const recentExits = this.getExitHistory(serverId).filter(e => e.exitedAt >= windowStart);
+      if (recentExits.length >= policy.crashLoopThreshold) {
+        server.status = 'crash-looping';
+        server.error = `Crash loop: exited ${recentExits.length} times within ${Math.round(policy.crashLoopWindowMs / 1000)}s`;
+        this.emit('server-status-changed', { ...server });
+        this.addLog(serverId, 'error', `${server.error}. Auto-restart paused until resumed.`);
+        return false;
+      }
+    }
+
+    // 충분히 오래 정상 동작했다면 이전 크래시와는 별개로 보고 횟수 초기화
+    const ranForMs = server.startTime ? Date.now() - new Date(server.startTime).getTime() : 0;
+    if (ranForMs >= RESTART_RESET_AFTER_MS) {
+      server.restartCount = 0;
+    }
+
+    const attempt = (server.restartCount || 0) + 1;
+    if (attempt > policy.maxRetries) {
+      this.addLog(serverId, 'error', `Auto-restart gave up after ${policy.maxRetries} attempts`);
+      return false;
+    }
+
+    const delayMs = Math.min(policy.backoffMs * 2 ** (attempt - 1), policy.maxBackoffMs);
+    server.restartCount = attempt;
+    server.status = 'restarting';
+    this.emit('server-status-changed', { ...server });
+    this.addLog(serverId, 'warn', `Auto-restart in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${policy.maxRetries})`);
+
+    const timer = setTimeout(async () => {
+      this.restartTimers.delete(serverId);
+      const currentServer = this.servers.get(serverId);
+      if (!currentServer || currentServer.status !== 'restarting') return;
+
+      const result = await this.startServer(serverId, { autoRestart: true });
+      if (!result.success) {
+        this.addLog(serverId, 'error', `Auto-restart failed: ${result.error}`);
+      }
+    }, delayMs);
+    this.restartTimers.set(serverId, timer);
+    return true;
+  }
+
+  // 예약된 자동 재시작 취소 (취소한 예약이 있으면 true)
+  cancelPendingRestart(serverId) {
+    const timer = this.restartTimers.get(serverId);
+    if (!timer) return false;
+    clearTimeout(timer);
+    this.restartTimers.delete(serverId);
+    return true;
+  }
+
+  // 예기치 않은 종료를 기록 (크래시 루프 판단 및 상세 화면 표시용)
+  recordExit(serverId, exitCode) {
+    const history = this.exitHistory.get(serverId) || [];
+    history.push({
+      code: exitCode,
+      exitedAt: Date.now(),
+      lastLogs: this.getLogs(serverId).slice(-EXIT_HISTORY_LOG_LINES).map(({ timestamp, level, message }) => ({ timestamp, level, message }))
+    });
+    if (history.length > EXIT_HISTORY_LIMIT) {
+      history.splice(0, history.length - EXIT_HISTORY_LIMIT);
+    }
+    this.exitHistory.set(serverId, history);
+  }
+
+  getExitHistory(serverId) {
+    return this.exitHistory.get(serverId) || [];
+  }
+
+  // 마지막 로그 줄로 비정상 종료 원인 진단 (crashAnalyzer.js), 알려진 유형이 없으면 null
+  // 로그 버퍼는 실행 사이에 비우지 않으므로 이번 실행(startTime 이후)의 로그만 대상으로 함
+  analyzeCrash(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return null;
+    const startedAt = server.startTime ? new Date(server.startTime).getTime() : 0;
+    const logs = this.getLogs(serverId).filter(log => new Date(log.timestamp).getTime() >= startedAt);
+    return this.crashAnalyzer.analyze(logs.slice(-CRASH_ANALYSIS_LOG_LINES), { server });
+  }
+
+  // 진단에 붙은 remedy 적용 (다시 시작은 호출 측에서). kill-port는 확인 대화상자가 필요해 main에서 처리하고,
+  // edit-env는 값을 사용자가 입력해야 하므로 화면에서 처리
+  // rootPath에서 생성된 서버는 설정을 공유하므로 updateServer가 모든 동적 서버에 반영 (main에서 먼저 확인)
+  async applyCrashRemedy(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+    const remedy = server.crashDiagnosis?.remedy;
+    if (!remedy) return { success: false, error: 'No suggested fix for this server' };
+    if (ACTIVE_STATUSES.has(server.status) || this.launchingServers.has(serverId)) {
+      return { success: false, error: 'Server is already running' };
+    }
+    if (server.activeHook) return { success: false, error: `${server.activeHook} is still running` };
+
+    if (remedy.action === 'install-dependencies') {
+      const { env, toolchain } = await this.buildChildEnv(server);
+      const command = await detectInstallCommand(server.path);
+      return this.runHook(serverId, 'install', env, { command, timeoutMs: INSTALL_TIMEOUT_MS, nodeBinDir: toolchain.binDir });
+    }
+
+    if (remedy.action === 'switch-node-version') {
+      const { toolchain } = await this.buildChildEnv({ ...server, nodeVersion: remedy.version });
+      if (toolchain.error) return { success: false, error: toolchain.error };
+      this.addLog(serverId, 'info', `Switching to Node ${toolchain.version} ("${remedy.version}")`);
+      return this.updateServer({ ...server, nodeVersion: remedy.version });
+    }
+
+    // 상속된 process.env나 envFiles 값은 저장하지 않음 - 서버 env에 이미 있는 값에만 덧붙이고 나머지는 buildChildEnv가 병합
+    if (remedy.action === 'set-env') {
+      const current = server.env?.[remedy.key];
+      const value = remedy.append && current
+        ? (current.split(/\s+/).includes(remedy.value) ? current : `${current} ${remedy.value}`)
+        : remedy.value;
+      this.addLog(serverId, 'info', `Setting ${remedy.key}=${value}`);
+      return this.updateServer({ ...server, env: { ...server.env, [remedy.key]: value } });
     }
+
+    return { success: false, error: `Unsupported fix: ${remedy.action}` };
+  }
+
+  // crash-looping 격리 해제 (시작은 호출 측에서 수행)
+  resumeServer(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) return { success: false, error: 'Server not found' };
+    if (server.status !== 'crash-looping') return { success: true, skipped: true };
+
+    server.status = 'stopped';
+    server.error = null;
+    server.restartCount = 0;
+    server.crashCountResetAt = Date.now();
+    this.emit('server-status-changed', { ...server });
+    this.addLog(serverId, 'info', 'Crash-loop quarantine cleared.');
+    return { success: true };
   }
 
   async restartServer(serverId) {
@@ -535,26 +1992,156 @@ class ServerManager extends EventEmitter {
     return this.startServer(serverId);
   }
 
+  // 의존성 검증: 문제가 있으면 사용자에게 보여줄 에러 메시지 반환
+  validateDependencies(serverId, dependsOn) {
+    const unknown = dependsOn.filter(id => !this.servers.has(id));
+    if (unknown.length > 0) {
+      return `Unknown dependency: ${unknown.join(', ')}`;
+    }
+
+    // 변경 사항을 반영한 그래프로 순환 검사
+    const graph = new Map(Array.from(this.servers.values()).map(s => [s.id, s.dependsOn || []]));
+    graph.set(serverId, dependsOn);
+    const cycle = findDependencyCycle(graph);
+    if (cycle) {
+      const names = cycle.map(id => (this.servers.get(id) || {}).name || id);
+      return `Dependency cycle detected: ${names.join(' → ')}`;
+    }
+    return null;
+  }
+
+  // 의존성 순서대로 묶은 단계 목록 (같은 단계끼리는 서로 의존하지 않음). 순환이 있으면 에러
+  getDependencyLevels(ids = Array.from(this.servers.keys())) {
+    const idSet = new Set(ids);
+    const graph = new Map(ids.map(id => [id, ((this.servers.get(id) || {}).dependsOn || []).filter(dep => idSet.has(dep))]));
+
+    const levels = [];
+    const placed = new Set();
+    while (placed.size < graph.size) {
+      const level = ids.filter(id => !placed.has(id) && graph.get(id).every(dep => placed.has(dep)));
+      if (level.length === 0) {
+        const cycle = findDependencyCycle(graph) || [];
+        throw new Error(`Dependency cycle detected: ${cycle.join(' → ')}`);
+      }
+      level.forEach(id => placed.add(id));
+      levels.push(level);
+    }
+    return levels;
+  }
+
+  // 의존성이 먼저 오는 시작 순서
+  getStartOrder() {
+    return this.getDependencyLevels().flat();
+  }
+
+  // 서버가 준비(running)될 때까지 대기. 실패/중지되거나 제한 시간을 넘기면 false
+  waitForReady(serverId, timeoutMs = null) {
+    const evaluate = (status) => {
+      if (status === 'running') return true;
+      if (status === 'starting' || status === 'restarting') return null;
+      return false;
+    };
+
+    return new Promise(resolve => {
+      const server = this.servers.get(serverId);
+      const initial = server ? evaluate(server.status) : false;
+      if (initial !== null) {
+        resolve(initial);
+        return;
+      }
+
+      const limitMs = timeoutMs || normalizeReadinessProbe(server.readinessProbe).timeoutMs + 5000;
+      const done = (ready) => {
+        clearTimeout(timer);
+        this.off('server-status-changed', onChange);
+        resolve(ready);
+      };
+      const onChange = (changed) => {
+        if (changed.id !== serverId) return;
+        const result = evaluate(changed.status);
+        if (result !== null) done(result);
+      };
+      const timer = setTimeout(() => done(false), limitMs);
+      this.on('server-status-changed', onChange);
+    });
+  }
+
+  // 선언된 의존 서버가 모두 준비될 때까지 대기
+  async waitForDependencies(serverId) {
+    const server = this.servers.get(serverId);
+    const dependsOn = (server && server.dependsOn) || [];
+    for (const depId of dependsOn) {
+      if (!this.servers.has(depId)) continue;
+      const ready = await this.waitForReady(depId);
+      if (!ready) return { ready: false, dependency: depId };
+    }
+    return { ready: true };
+  }
+
   async startAll() {
-    const promises = Array.from(this.servers.keys()).map(id => this.startServer(id));
-    return Promise.all(promises);
+    // 의존성 순서대로 시작하되, 서로 관계없는 서버는 병렬로 시작
+    const order = this.getStartOrder();
+    const tasks = new Map();
+    order.forEach(id => {
+      tasks.set(id, (async () => {
+        const server = this.servers.get(id);
+        await Promise.all((server.dependsOn || []).map(depId => tasks.get(depId)));
+        const deps = await this.waitForDependencies(id);
+        if (!deps.ready) {
+          this.addLog(id, 'error', `Not started: dependency "${deps.dependency}" is not ready`);
+          return { id, success: false, skipped: true, reason: `dependency ${deps.dependency} not ready` };
+        }
+        if (this.processes.has(id)) return { id, success: true, skipped: true };
+        // crash-looping으로 격리된 서버는 Resume 전까지 건너뜀 (트레이 Start All도 IPC start-all과 같게)
+        if (server.status === 'crash-looping') {
+          return { id, success: false, skipped: true, reason: 'crash-looping (resume first)' };
+        }
+        return { id, ...(await this.startServer(id)) };
+      })());
+    });
+    return Promise.all(tasks.values());
   }
 
   async stopAll() {
-    const runningServers = this.getRunningServers();
-    const ids = new Set([...this.processes.keys(), ...runningServers.map(s => s.id)]);
-    const promises = Array.from(ids).map(async (id) => {
-      const proc = this.processes.get(id);
-      if (proc && proc.pid) return this.stopServer(id);
-
-      const server = this.servers.get(id);
-      const pid = server && server.pid ? Number(server.pid) : null;
-      if (pid && Number.isInteger(pid)) {
-        return this.stopOrphanedServerByPid(id, pid);
+    // 의존하는 쪽부터 역순으로 중지 (같은 단계는 병렬)
+    this.restartTimers.forEach((timer, id) => {
+      if (this.cancelPendingRestart(id)) {
+        const server = this.servers.get(id);
+        if (server) {
+          server.status = 'stopped';
+          this.emit('server-status-changed', { ...server });
+        }
       }
-      return { success: true, skipped: true };
     });
-    return Promise.all(promises);
+
+    const runningServers = this.getAllServers().filter(s => ACTIVE_STATUSES.has(s.status));
+    const ids = new Set([...this.processes.keys(), ...runningServers.map(s => s.id)]);
+
+    let levels;
+    try {
+      levels = this.getDependencyLevels(Array.from(ids).filter(id => this.servers.has(id)));
+    } catch (_) {
+      // 순환이 있으면 순서 없이 한 번에 중지
+      levels = [Array.from(ids)];
+    }
+    const orphanIds = Array.from(ids).filter(id => !this.servers.has(id));
+    if (orphanIds.length > 0) levels.push(orphanIds);
+
+    const results = [];
+    for (const level of levels.reverse()) {
+      results.push(...await Promise.all(level.map(async (id) => {
+        const proc = this.processes.get(id);
+        if (proc && proc.pid) return this.stopServer(id);
+
+        const server = this.servers.get(id);
+        const pid = server && server.pid ? Number(server.pid) : null;
+        if (pid && Number.isInteger(pid)) {
+          return this.stopOrphanedServerByPid(id, pid);
+        }
+        return { success: true, skipped: true };
+      })));
+    }
+    return results;
   }
 
   async stopOrphanedServerByPid(serverId, pid) {
@@ -562,47 +2149,24 @@ class ServerManager extends EventEmitter {
     if (!server) return { success: false, error: 'Server not found' };
     if (!pid || Number.isNaN(pid)) return { success: false, error: 'PID not found' };
 
+    const control = { forced: false };
+    this.stopControls.set(serverId, control);
+
     try {
       server.status = 'stopping';
       this.emit('server-status-changed', { ...server });
       this.addLog(serverId, 'info', `Stopping server by PID fallback (PID: ${pid})...`);
 
-      // 프로세스 그룹 종료 우선 (detached spawn 고려)
-      try {
-        process.kill(-pid, 'SIGTERM');
-      } catch (e) {
-        if (e.code !== 'ESRCH') {
-          try {
-            process.kill(pid, 'SIGTERM');
-          } catch (_) { /* ignore */ }
-        }
-      }
-
-      const waitStart = Date.now();
-      while (Date.now() - waitStart < 4000) {
-        try {
-          process.kill(pid, 0);
-        } catch (e) {
-          if (e.code === 'ESRCH') break;
-        }
-        await new Promise(r => setTimeout(r, 200));
-      }
-
-      // 여전히 살아있으면 SIGKILL
-      try {
-        process.kill(pid, 0);
-        try {
-          process.kill(-pid, 'SIGKILL');
-        } catch (e) {
-          if (e.code !== 'ESRCH') {
-            try {
-              process.kill(pid, 'SIGKILL');
-            } catch (_) { /* ignore */ }
-          }
+      // 프로세스 그룹 종료 우선 (detached spawn 고려), 서버별 종료 정책 적용
+      const stopPolicy = normalizeStopPolicy(server.stopPolicy);
+      const terminated = await terminateProcessGroup(pid, stopPolicy, {
+        control,
+        onSignal: (signal, step) => {
+          if (step > 0) this.addLog(serverId, 'warn', `Sending ${signal} (PID fallback).`);
         }
-        this.addLog(serverId, 'info', 'Server forcefully killed (PID fallback).');
-      } catch (_) {
-        // already exited
+      });
+      if (!terminated) {
+        this.addLog(serverId, 'error', `Process ${pid} did not exit after SIGKILL.`);
       }
 
       server.status = 'stopped';
@@ -624,9 +2188,16 @@ class ServerManager extends EventEmitter {
     } catch (error) {
       this.addLog(serverId, 'error', `Failed to stop server by PID fallback: ${error.message}`);
       return { success: false, error: error.message };
+    } finally {
+      if (this.stopControls.get(serverId) === control) this.stopControls.delete(serverId);
     }
   }
 
+  // 서버별 종료 정책 (main process의 잔여 프로세스 정리에서도 사용)
+  getStopPolicy(serverId) {
+    return normalizeStopPolicy(this.servers.get(serverId)?.stopPolicy);
+  }
+
   getAllServers() {
     return Array.from(this.servers.values()).map(server => ({
       ...server,
@@ -639,7 +2210,8 @@ class ServerManager extends EventEmitter {
   }
 
   hasRunningServers() {
-    return this.getRunningServers().length > 0;
+    // 준비 중/unhealthy 서버도 프로세스가 살아있으므로 포함
+    return this.getAllServers().some(server => ACTIVE_STATUSES.has(server.status));
   }
 
   areAllRunning() {
@@ -652,21 +2224,59 @@ class ServerManager extends EventEmitter {
     return this.logs.get(serverId) || [];
   }
 
-  addLog(serverId, level, message) {
+  // 여러 서버의 로그를 시간순으로 합친 목록 (serverIds가 없으면 전체 서버)
+  // 각 항목에 serverId/serverName을 붙이고, 같은 시각이면 서버별 기록 순서를 유지
+  getMergedLogs(serverIds = null) {
+    const ids = Array.isArray(serverIds) ? serverIds : Array.from(this.logs.keys());
+    const merged = [];
+    for (const serverId of ids) {
+      const serverName = this.servers.get(serverId)?.name || serverId;
+      for (const log of this.getLogs(serverId)) {
+        merged.push({ ...log, serverId, serverName });
+      }
+    }
+    return merged.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // 서버 프로세스 출력 한 줄 기록 (LineDecoder가 나눈 줄)
+  // JSON 로그 줄(pino/winston/bunyan)은 실제 레벨/시간/필드로, 나머지는 내용으로 추정한 레벨로 기록 (logSeverity.js)
+  // 원래 스트림은 stream 속성으로 따로 유지
+  addProcessOutput(serverId, stream, line, timestamp = new Date()) {
+    const severity = this.servers.get(serverId)?.severity;
+    const structured = parseStructuredLogLine(line);
+    if (structured) {
+      const rule = this.severityClassifier.matchRule(stream, line, severity);
+      this.addLog(serverId, rule ? rule.level : structured.level, truncateLogText(structured.message), {
+        stream,
+        timestamp: structured.time || timestamp,
+        raw: truncateLogText(line.trim()),
+        fields: structured.fields,
+        stack: structured.stack
+      });
+      return;
+    }
+    this.addLog(serverId, this.severityClassifier.classify(serverId, stream, line, severity), truncateLogText(line), { stream, timestamp });
+  }
+
+  // details: { stream, timestamp, raw, fields, stack } (프로세스 출력/구조화 로그일 때)
+  addLog(serverId, level, message, details = {}) {
     const logs = this.logs.get(serverId);
     if (!logs) return;
 
-    // 빈 메시지나 너무 긴 메시지 필터링
-    const trimmedMessage = message.trim();
-    if (!trimmedMessage || trimmedMessage.length > 2000) return;
+    // 빈 메시지나 너무 긴 메시지 필터링 (프로세스 출력은 스택 트레이스 등의 들여쓰기 유지)
+    const trimmedMessage = details.stream ? message.trimEnd() : message.trim();
+    if (!trimmedMessage.trim() || trimmedMessage.length > MAX_LOG_MESSAGE_LENGTH) return;
 
-    const logEntry = {
-      timestamp: new Date(),
+    const { timestamp, ...extra } = details;
+    const logEntry = this.redactLogEntry(serverId, {
+      timestamp: timestamp || new Date(),
       level,
-      message: trimmedMessage
-    };
+      message: trimmedMessage,
+      ...extra
+    });
 
     logs.push(logEntry);
+    this.logFiles?.append(serverId, logEntry, this.servers.get(serverId)?.logFiles);
     
     // 로그 크기 제한 - 500개로 줄여서 메모리 사용량 감소
     if (logs.length > 500) {
@@ -674,7 +2284,106 @@ class ServerManager extends EventEmitter {
       logs.splice(0, 100);
     }
     
-    this.emit('log-update', serverId, logEntry);
+    this.emit('log-update', serverId, this.isSecretRevealed(serverId) ? this.unredactLogEntry(logEntry) : logEntry);
+    this.checkLogAlerts(serverId, logEntry);
+  }
+
+  // 서버 설정이나 비밀 환경변수 값이 바뀌었을 때만 새로 컴파일
+  getRedactor(serverId) {
+    const redaction = this.servers.get(serverId)?.redaction;
+    const secretValues = this.secretEnvValues.get(serverId) || [];
+    const cached = this.redactors.get(serverId);
+    if (cached && cached.redaction === redaction && cached.secretValues === secretValues) return cached.redactor;
+    const redactor = new LogRedactor(redaction, secretValues);
+    this.redactors.set(serverId, { redaction, secretValues, redactor });
+    return redactor;
+  }
+
+  // 메시지/원본 JSON 줄/필드/스택의 비밀값을 마스킹. 바뀐 항목은 원본을 메모리에만 따로 보관
+  redactLogEntry(serverId, logEntry) {
+    const redactor = this.getRedactor(serverId);
+    if (!redactor.enabled) return logEntry;
+
+    const redacted = { ...logEntry, message: redactor.redact(logEntry.message) };
+    if (typeof logEntry.raw === 'string') redacted.raw = redactor.redact(logEntry.raw);
+    if (typeof logEntry.stack === 'string') redacted.stack = redactor.redact(logEntry.stack);
+    if (logEntry.fields) redacted.fields = redactor.redactValue(logEntry.fields);
+
+    const changed = redacted.message !== logEntry.message || redacted.raw !== logEntry.raw
+      || redacted.stack !== logEntry.stack || JSON.stringify(redacted.fields) !== JSON.stringify(logEntry.fields);
+    if (!changed) return logEntry;
+    redacted.redacted = true;
+    this.unredactedLogs.set(redacted, logEntry);
+    return redacted;
+  }
+
+  unredactLogEntry(logEntry) {
+    const original = this.unredactedLogs.get(logEntry);
+    return original ? { ...original, redacted: false } : logEntry;
+  }
+
+  isSecretRevealed(serverId) {
+    return (this.secretRevealUntil.get(serverId) || 0) > Date.now();
+  }
+
+  // 상세 화면의 Reveal: 잠시 동안 get-logs/log-update가 원본을 돌려줌 (디스크 로그는 항상 마스킹된 상태)
+  setSecretReveal(serverId, revealed) {
+    if (!this.servers.has(serverId)) return { success: false, error: 'Server not found' };
+    if (revealed) {
+      this.secretRevealUntil.set(serverId, Date.now() + SECRET_REVEAL_MS);
+    } else {
+      this.secretRevealUntil.delete(serverId);
+    }
+    return { success: true, revealedUntil: revealed ? this.secretRevealUntil.get(serverId) : null };
+  }
+
+  // 화면에 보낼 로그 (Reveal 중이면 원본)
+  getDisplayLogs(serverId) {
+    const logs = this.getLogs(serverId);
+    return this.isSecretRevealed(serverId) ? logs.map(log => this.unredactLogEntry(log)) : logs;
+  }
+
+  setGlobalAlertRules(rules) {
+    this.globalAlertRules = normalizeAlertRules(rules);
+    return this.globalAlertRules;
+  }
+
+  // 알림 규칙에 걸린 줄은 'log-alert' 이벤트로 전달
+  checkLogAlerts(serverId, logEntry) {
+    const server = this.servers.get(serverId);
+    const rules = [...(server?.alertRules || []), ...this.globalAlertRules];
+    if (rules.length === 0) return;
+
+    const alert = this.logAlerts.evaluate(serverId, logEntry, rules);
+    if (alert) {
+      this.emit('log-alert', serverId, { rule: alert.rule, suppressed: alert.suppressed, log: logEntry });
+    }
+  }
+
+  // 디스크에 저장된 이전 실행 로그 목록 (최신 순)
+  async listLogRuns(serverId) {
+    if (!this.logFiles) return [];
+    return this.logFiles.listRuns(serverId);
+  }
+
+  async readLogRun(serverId, runId) {
+    if (!this.logFiles) return { success: false, error: 'Log files are not available' };
+    try {
+      return await this.logFiles.readRun(serverId, runId);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 현재(또는 지정한) 실행의 로그 파일 경로
+  async getLogFilePath(serverId, runId = null) {
+    if (!this.logFiles) return null;
+    return this.logFiles.getLogFilePath(serverId, runId);
+  }
+
+  // 앱 종료 전 버퍼에 남은 로그를 파일에 기록
+  async flushLogs() {
+    if (this.logFiles) await this.logFiles.flushAll();
   }
 
   calculateUptime(startTime, includeSeconds = false) {
@@ -748,6 +2457,17 @@ class ServerManager extends EventEmitter {
     }
   }
 
+  recordResourceSample(serverId, cpu, memory, processes) {
+    const samples = this.resourceSamples.get(serverId) || [];
+    samples.push({ timestamp: new Date().toISOString(), cpu: Number(cpu), memory, processes });
+    if (samples.length > RESOURCE_SAMPLE_LIMIT) samples.splice(0, samples.length - RESOURCE_SAMPLE_LIMIT);
+    this.resourceSamples.set(serverId, samples);
+  }
+
+  getResourceSamples(serverId) {
+    return this.resourceSamples.get(serverId) || [];
+  }
+
   async startResourceMonitoring(serverId) {
     const intervalId = `monitor_${serverId}`;
     // 이전 모니터링이 있다면 중지
@@ -773,7 +2493,7 @@ class ServerManager extends EventEmitter {
       const processInfo = this.processes.get(serverId);
 
       // 서버가 존재하지 않거나 실행 중이 아니면 모니터링 중지
-      if (!currentServer || !processInfo || currentServer.status !== 'running') {
+      if (!currentServer || !processInfo || !ACTIVE_STATUSES.has(currentServer.status)) {
         clearInterval(this[intervalId]);
         delete this[intervalId];
         return;
@@ -814,6 +2534,7 @@ class ServerManager extends EventEmitter {
 
           currentServer.cpu = cpuPercent;
           currentServer.memory = memoryInMB;
+          this.recordResourceSample(serverId, cpuPercent, memoryInMB, allRelatedProcesses.length);
           
           this.emit('server-status-changed', { 
             ...currentServer,
@@ -876,7 +2597,8 @@ class ServerManager extends EventEmitter {
     
     // 실행 중으로 표시된 서버의 프로세스 실제 존재 여부 확인
     for (const [serverId, server] of this.servers.entries()) {
-      if (server.status === 'running') {
+      // preStart 훅 실행 중인 서버는 아직 프로세스가 없는 것이 정상
+      if (ACTIVE_STATUSES.has(server.status) && !this.launchingServers.has(serverId)) {
         const process = this.processes.get(serverId);
         if (!process || !process.pid) {
           console.warn(`Server ${serverId} marked as running but no process found`);
@@ -1058,30 +2780,35 @@ class ServerManager extends EventEmitter {
     }
   }
 
-  async detectListeningCandidatesByPidTree(rootPid, mainPid = null) {
+  // rootPid와 자손 프로세스 (ps-list 항목, DFS로 최대 PROCESS_TREE_LIMIT개 - 너무 넓은 범위 방지)
+  async getProcessTree(rootPid) {
     // ps-list로 전체 프로세스 스냅샷 획득
     const processes = await psList();
+    const byPid = new Map(processes.map(p => [p.pid, p]));
     const byParent = new Map();
     for (const p of processes) {
       if (!byParent.has(p.ppid)) byParent.set(p.ppid, []);
       byParent.get(p.ppid).push(p.pid);
     }
 
-    // DFS로 자식 PID 수집 (최대 25개로 제한 - 너무 넓은 범위 방지)
     const stack = [rootPid];
     const seen = new Set();
-    const pids = [];
-    while (stack.length && pids.length < 25) {
+    const tree = [];
+    while (stack.length && tree.length < PROCESS_TREE_LIMIT) {
       const pid = stack.pop();
       if (seen.has(pid)) continue;
       seen.add(pid);
-      pids.push(pid);
+      tree.push(byPid.get(pid) || { pid });
       const kids = byParent.get(pid) || [];
       for (const k of kids) {
-        if (pids.length < 25) stack.push(k);
+        if (tree.length < PROCESS_TREE_LIMIT) stack.push(k);
       }
     }
+    return tree;
+  }
 
+  async detectListeningCandidatesByPidTree(rootPid, mainPid = null) {
+    const pids = (await this.getProcessTree(rootPid)).map(p => p.pid);
     const matches = await this.listListeningPortsByPid(pids.join(','));
     return matches.map(m => ({
       ...m,
@@ -1224,7 +2951,13 @@ class ServerManager extends EventEmitter {
               return;
             }
 
+            // 준비 상태 프로브가 이번 기동에서 확정된 포트인지 판단할 수 있도록 시각 기록
+            if (actualPort && (shouldAcceptImmediately || isStableEnough) && currentServer.actualPort === actualPort) {
+              currentServer.portDetectedAt = Date.now();
+            }
+
             if (actualPort && (shouldAcceptImmediately || isStableEnough) && currentServer.actualPort !== actualPort) {
+              currentServer.portDetectedAt = Date.now();
               currentServer.actualPort = actualPort;
               changed = true;
               actualPortChanged = true;
@@ -1254,6 +2987,19 @@ class ServerManager extends EventEmitter {
       clearInterval(this.healthCheckInterval);
       this.healthCheckInterval = null;
     }
+
+    // 예약된 자동 재시작/생존 확인 취소
+    this.restartTimers.forEach(timer => clearTimeout(timer));
+    this.restartTimers.clear();
+    this.livenessTimers.forEach(timer => clearTimeout(timer));
+    this.livenessTimers.clear();
+
+    // 실행 중인 라이프사이클 훅 정리
+    this.hookProcesses.forEach(hook => this.killHook(hook.serverId, hook.hookName));
+    this.hookProcesses.clear();
+
+    // 내장 셸 정리
+    Array.from(this.shellSessions.keys()).forEach(serverId => this.closeShell(serverId));
     
     // 모든 리소스 모니터링 정리
     Object.keys(this).forEach(key => {
@@ -1279,6 +3025,7 @@ class ServerManager extends EventEmitter {
     this.processes.clear();
     this.servers.clear();
     this.logs.clear();
+    this.exitHistory.clear();
 
     // 이벤트 리스너 정리
     this.removeAllListeners();
@@ -0,0 +1,101 @@
+// 구조화(JSON) 로그 한 줄 해석 (pino / bunyan / winston 형식)
+//
+// - pino, bunyan: { level: 30, time: 1700000000000 | "ISO", msg, err: { message, stack } }
+// - winston:      { level: "info", message, timestamp, stack }
+// 반환: { level, time, message, fields, stack } 또는 JSON 로그가 아니면 null
+
+// pino/bunyan 숫자 레벨
+const NUMERIC_LEVELS = [
+  [60, 'fatal'],
+  [50, 'error'],
+  [40, 'warn'],
+  [30, 'info'],
+  [20, 'debug'],
+  [0, 'trace']
+];
+
+// winston(npm/syslog) 및 기타 문자열 레벨 → 표시용 레벨
+const LEVEL_ALIASES = {
+  fatal: 'fatal',
+  emerg: 'fatal',
+  alert: 'fatal',
+  crit: 'fatal',
+  critical: 'fatal',
+  error: 'error',
+  err: 'error',
+  warn: 'warn',
+  warning: 'warn',
+  notice: 'info',
+  info: 'info',
+  http: 'info',
+  verbose: 'debug',
+  debug: 'debug',
+  silly: 'trace',
+  trace: 'trace'
+};
+
+export const STRUCTURED_LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+const MAX_LINE_LENGTH = 64 * 1024;
+
+function normalizeLevel(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return NUMERIC_LEVELS.find(([threshold]) => value >= threshold)[1];
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) return normalizeLevel(Number(trimmed));
+    return LEVEL_ALIASES[trimmed.toLowerCase()] || null;
+  }
+  return null;
+}
+
+function normalizeTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  // epoch 초 단위(예: pino의 stdTimeFunctions.unixTime)도 허용
+  const date = typeof value === 'number' ? new Date(value < 1e11 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function findError(fields) {
+  for (const key of ['err', 'error']) {
+    const value = fields[key];
+    if (value && typeof value === 'object' && (value.stack || value.message)) return value;
+  }
+  return typeof fields.stack === 'string' ? { stack: fields.stack, message: fields.message } : null;
+}
+
+export function parseStructuredLogLine(line) {
+  const text = typeof line === 'string' ? line.trim() : '';
+  if (text.length < 2 || text.length > MAX_LINE_LENGTH || text[0] !== '{' || text[text.length - 1] !== '}') return null;
+
+  let fields;
+  try {
+    fields = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return null;
+
+  // 레벨이나 메시지가 없는 JSON(예: 설정 덤프)은 일반 출력으로 취급
+  const level = normalizeLevel(fields.level ?? fields.severity ?? fields.lvl);
+  const rawMessage = fields.msg ?? fields.message;
+  if (!level && typeof rawMessage !== 'string') return null;
+
+  const error = findError(fields);
+  let message = typeof rawMessage === 'string' ? rawMessage : '';
+  if (!message && error?.message) message = String(error.message);
+  if (!message) {
+    // 메시지가 없으면 레벨/시간 등 공통 필드를 뺀 나머지를 한 줄로 표시
+    const { level: _level, time: _time, timestamp: _timestamp, pid: _pid, hostname: _hostname, v: _v, ...rest } = fields;
+    message = JSON.stringify(rest);
+  }
+
+  return {
+    level: level || 'info',
+    time: normalizeTime(fields.time ?? fields.timestamp),
+    message,
+    fields,
+    stack: typeof error?.stack === 'string' ? error.stack : null
+  };
+}